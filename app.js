@@ -1,10 +1,20 @@
 // Refactored main application module
 // Uses ES6 modules for better organization and maintainability
 
-import { UI_CONFIG, CALCULATION_CONSTRAINTS } from './config.js';
-import { PerformanceMonitor, debounce, safeRequestIdleCallback } from './utils.js';
+import { UI_CONFIG, CALCULATION_CONSTRAINTS, GEOMETRY_NAMES } from './config.js';
+import { PerformanceMonitor, debounce, safeRequestIdleCallback, formatError } from './utils.js';
 import { inputHandler } from './input-handler.js';
 import { calculator } from './calculator-engine.js';
+import { BATCH_TEMPLATE } from './batch-processor.js';
+import { resultsToCsv } from './result-format.js';
+import { renderScenarioComparison, updateResultElement } from './ui-components.js';
+import { SWEEP_PARAMETERS, sweepParametersFor } from './sweep.js';
+import {
+    MATERIAL_PRESETS, loadCustomMaterials, saveCustomMaterial, deleteCustomMaterial,
+    findMaterial, exportMaterialsJson, importMaterialsJson
+} from './materials.js';
+import { encodePermalink, decodePermalink } from './permalink.js';
+import { voxelizeShape, formatVoxelMask, maskFromImages } from './voxel-shape.js';
 
 // Global state
 const appState = {
@@ -12,12 +22,42 @@ const appState = {
     calculationTimeout: null,
     currentGeometry: 'cylinder',
     easyAxisInPlane: false, // false = out-of-plane (default), true = in-plane
-    showAdvanced: false // false = basic view (default), true = advanced view
+    demagConvention: 'magnetometric', // 'magnetometric' (default) or 'fluxmetric'
+    showAdvanced: false, // false = basic view (default), true = advanced view
+    scenarios: [], // pinned results for comparison: {id, label, result}
+    nextScenarioId: 1
 };
 
 // Make appState globally available for UI components
 window.appState = appState;
 
+// Inputs that feed the calculation; a permalink stores all of them
+const MAGNETIC_INPUTS = ['ms-value', 'ku-value', 'exchange-value', 'temperature-value'];
+const GEOMETRY_INPUTS = [
+    'prism-a', 'prism-b', 'prism-c', 'prism-euler-alpha', 'prism-euler-beta', 'prism-euler-gamma',
+    'cylinder-thickness', 'cylinder-diameter',
+    'sphere-diameter', 'thin-film-thickness',
+    'thin-film-width', 'thin-film-length', 'thin-film-diameter',
+    'ellipsoid-a', 'ellipsoid-b', 'ellipsoid-c',
+    'ring-thickness', 'ring-outer-diameter', 'ring-inner-diameter',
+    'elliptic-cylinder-thickness', 'elliptic-cylinder-major', 'elliptic-cylinder-minor',
+    'nanowire-length', 'nanowire-diameter', 'nanowire-threshold',
+    'voxel-width', 'voxel-length', 'voxel-thickness', 'voxel-corner-radius', 'voxel-resolution', 'voxel-layers', 'voxel-mask',
+    'polygon-sides', 'polygon-side-length', 'polygon-thickness'
+];
+const SETTINGS_INPUTS = [
+    'kv-value', 'ks-value', 'axis-theta', 'axis-phi', 'k1-value', 'k2-value', 'cubic-angle',
+    'thermal-stability', 'attempt-frequency', 'curie-temperature', 'ku-exponent', 'kuzmin-s'
+];
+
+// Selects stored in a permalink (geometry, convention and easy axis are kept in appState);
+// the material selector comes last so it is restored after Ms, Ku and A
+const PERMALINK_SELECTS = [
+    'thin-film-shape', 'nanowire-cross-section', 'voxel-shape', 'anisotropy-model', 'crystal-anisotropy', 'cubic-orientation',
+    'temperature-scaling', 'reference-temperature', 'material-selector'
+];
+const PERMALINK_FIELDS = [...MAGNETIC_INPUTS, ...GEOMETRY_INPUTS, ...SETTINGS_INPUTS, ...PERMALINK_SELECTS];
+
 
 
 // Immediate geometry calculation
@@ -36,6 +76,8 @@ function immediateGeometryCalculation() {
     const end = performance.now();
     const stats = appState.performanceMonitor.record('Geometry', end - start);
     appState.performanceMonitor.updateUI(end - start);
+    
+    updatePermalink();
 }
 
 // Debounced calculation
@@ -46,33 +88,35 @@ function setupEventListeners() {
     const eventOptions = { passive: true };
     
     // Magnetic property inputs
-    const magneticInputs = ['ms-value', 'ku-value', 'exchange-value', 'temperature-value'];
-    magneticInputs.forEach(inputId => {
+    MAGNETIC_INPUTS.forEach(inputId => {
         const input = document.getElementById(inputId);
         if (input) {
             input.addEventListener('input', debouncedGeometryCalculation, eventOptions);
+            input.addEventListener('input', syncMaterialSelector, eventOptions);
         }
     });
+    ['k1-value', 'k2-value'].forEach(inputId => {
+        document.getElementById(inputId)?.addEventListener('input', syncMaterialSelector, eventOptions);
+    });
     
     // Geometry dimension inputs
-    const geometryInputs = [
-        'prism-a', 'prism-b', 'prism-c',
-        'cylinder-thickness', 'cylinder-diameter',
-        'sphere-diameter', 'thin-film-thickness'
-    ];
+    GEOMETRY_INPUTS.forEach(inputId => {
+        const input = document.getElementById(inputId);
+        if (input) {
+            input.addEventListener('input', debouncedGeometryCalculation, eventOptions);
+        }
+    });
     
-    geometryInputs.forEach(inputId => {
+    // Anisotropy, thermal design and temperature scaling inputs
+    SETTINGS_INPUTS.forEach(inputId => {
         const input = document.getElementById(inputId);
         if (input) {
             input.addEventListener('input', debouncedGeometryCalculation, eventOptions);
         }
     });
     
-    // Thermal stability input
-    const thermalStabilityInput = document.getElementById('thermal-stability');
-    if (thermalStabilityInput) {
-        thermalStabilityInput.addEventListener('input', debouncedGeometryCalculation, eventOptions);
-    }
+    // A permalink pasted into the address bar of an open calculator
+    window.addEventListener('hashchange', () => restorePermalink(window.location.hash));
 }
 
 // Initialize theory tabs
@@ -133,6 +177,7 @@ function changeGeometry(geometryType) {
     appState.currentGeometry = geometryType;
     
     updatePageTitle(geometryType);
+    updateSweepParameters();
     
     // Trigger calculation
     switch (geometryType) {
@@ -145,6 +190,24 @@ function changeGeometry(geometryType) {
         case 'sphere':
             calculator.calculateSphere();
             break;
+        case 'ellipsoid':
+            calculator.calculateEllipsoid();
+            break;
+        case 'ring':
+            calculator.calculateRing();
+            break;
+        case 'elliptic-cylinder':
+            calculator.calculateEllipticCylinder();
+            break;
+        case 'nanowire':
+            calculator.calculateNanowire();
+            break;
+        case 'voxel':
+            calculator.calculateVoxel();
+            break;
+        case 'polygon':
+            calculator.calculatePolygon();
+            break;
         case 'thin-film':
             calculator.calculateThinFilm();
             break;
@@ -152,6 +215,8 @@ function changeGeometry(geometryType) {
             calculator.calculateInfiniteRod();
             break;
     }
+    
+    updatePermalink();
 }
 
 // Make changeGeometry globally available
@@ -176,6 +241,630 @@ function updateEasyAxisDirection() {
 // Make updateEasyAxisDirection globally available
 window.updateEasyAxisDirection = updateEasyAxisDirection;
 
+// Update demagnetization factor convention
+function updateDemagConvention() {
+    const selector = document.getElementById('demag-convention');
+    
+    if (selector) {
+        appState.demagConvention = selector.value;
+        
+        // Pass the convention to calculator
+        calculator.setDemagConvention(appState.demagConvention);
+        
+        // Recalculate with new convention
+        immediateGeometryCalculation();
+    }
+}
+
+// Make updateDemagConvention globally available
+window.updateDemagConvention = updateDemagConvention;
+
+// Switch thin film between rectangular and circular lateral shape
+function updateThinFilmShape() {
+    const selector = document.getElementById('thin-film-shape');
+    
+    if (selector) {
+        const circular = selector.value === 'circular';
+        
+        document.querySelectorAll('.thin-film-rectangular').forEach(group => {
+            group.style.display = circular ? 'none' : '';
+        });
+        document.querySelectorAll('.thin-film-circular').forEach(group => {
+            group.style.display = circular ? '' : 'none';
+        });
+        
+        updateSweepParameters();
+        immediateGeometryCalculation();
+    }
+}
+
+// Make updateThinFilmShape globally available
+window.updateThinFilmShape = updateThinFilmShape;
+
+// Switch nanowire between circular and square cross-section
+function updateNanowireCrossSection() {
+    const selector = document.getElementById('nanowire-cross-section');
+    const label = document.querySelector('label[for="nanowire-diameter"]');
+    
+    if (selector) {
+        if (label) {
+            label.textContent = selector.value === 'square' ? 'Side Length (w) [nm]:' : 'Diameter (D) [nm]:';
+        }
+        
+        immediateGeometryCalculation();
+    }
+}
+
+// Make updateNanowireCrossSection globally available
+window.updateNanowireCrossSection = updateNanowireCrossSection;
+
+// Show the inputs of the chosen custom shape: outline settings or the voxel mask
+function updateVoxelShape() {
+    const selector = document.getElementById('voxel-shape');
+    
+    if (selector) {
+        const mask = selector.value === 'mask';
+        
+        document.querySelectorAll('.voxel-outline-option').forEach(group => {
+            group.style.display = mask ? 'none' : '';
+        });
+        document.querySelectorAll('.voxel-rounded-option').forEach(group => {
+            group.style.display = selector.value === 'rounded-rectangle' ? '' : 'none';
+        });
+        document.querySelectorAll('.voxel-mask-option').forEach(group => {
+            group.style.display = mask ? '' : 'none';
+        });
+        
+        updateSweepParameters();
+        immediateGeometryCalculation();
+    }
+}
+
+// Put mask text into the editor and switch to the mask shape
+function setVoxelMask(text, message) {
+    const maskInput = document.getElementById('voxel-mask');
+    const selector = document.getElementById('voxel-shape');
+    const status = document.getElementById('voxel-status');
+    if (!maskInput || !selector) return;
+    
+    maskInput.value = text;
+    selector.value = 'mask';
+    if (status) {
+        status.textContent = message;
+        status.style.color = '#64748b';
+    }
+    updateVoxelShape();
+}
+
+// Load a text mask, or PNG layers (sorted by file name, bottom layer first) scaled to the resolution
+async function importVoxelMask(input) {
+    const status = document.getElementById('voxel-status');
+    const files = Array.from(input.files || []).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    if (files.length === 0) return;
+    
+    try {
+        const images = files.filter(file => file.type.startsWith('image/'));
+        if (images.length === 0) {
+            setVoxelMask(await files[0].text(), `Loaded ${files[0].name}`);
+            return;
+        }
+        
+        const resolution = inputHandler.getValue('voxel-resolution', UI_CONFIG.DEFAULT_VALUES.voxel.resolution);
+        const layers = await Promise.all(images.map(async file => {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, resolution / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            const context = canvas.getContext('2d');
+            context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            return context.getImageData(0, 0, canvas.width, canvas.height);
+        }));
+        
+        setVoxelMask(maskFromImages(layers),
+            `Converted ${images.length} image layer${images.length === 1 ? '' : 's'} at ${layers[0].width} × ${layers[0].height} cells (dark pixels are magnet)`);
+    } catch (error) {
+        console.error('Voxel mask import error:', error);
+        if (status) {
+            status.textContent = `Import failed: ${error.message}`;
+            status.style.color = '#e74c3c';
+        }
+    } finally {
+        // Allow re-uploading the same file after editing it
+        input.value = '';
+    }
+}
+
+// Rasterize the chosen outline into the mask editor, as a starting point for hand edits
+function outlineToMask() {
+    const status = document.getElementById('voxel-status');
+    const dims = inputHandler.getGeometryDimensions('voxel');
+    
+    try {
+        const voxels = voxelizeShape(dims);
+        setVoxelMask(formatVoxelMask(voxels), `${dims.shape} outline as ${voxels.grid.join(' × ')} cells`);
+    } catch (error) {
+        if (status) {
+            status.textContent = error.message;
+            status.style.color = '#e74c3c';
+        }
+    }
+}
+
+// Make custom shape functions globally available
+window.updateVoxelShape = updateVoxelShape;
+window.importVoxelMask = importVoxelMask;
+window.outlineToMask = outlineToMask;
+
+// Trigger a browser download of generated text
+function downloadText(filename, text, type = 'text/csv') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Run an uploaded CSV through the engine and download the results
+async function processBatchFile(input) {
+    const status = document.getElementById('batch-status');
+    const file = input.files && input.files[0];
+    if (!file) return;
+    
+    try {
+        const { csv, total, failed } = calculator.calculateBatch(await file.text());
+        const outputName = file.name.replace(/\.csv$/i, '') + '-results.csv';
+        downloadText(outputName, csv);
+        
+        if (status) {
+            status.textContent = `Processed ${total} row${total === 1 ? '' : 's'}` +
+                (failed ? ` (${failed} with errors, see the error column)` : '') + ` → ${outputName}`;
+            status.style.color = failed ? '#e74c3c' : '#27ae60';
+        }
+    } catch (error) {
+        console.error('Batch processing error:', error);
+        if (status) {
+            status.textContent = `Batch failed: ${error.message}`;
+            status.style.color = '#e74c3c';
+        }
+    } finally {
+        // Allow re-uploading the same file after editing it
+        input.value = '';
+    }
+}
+
+// Download an example batch table
+function downloadBatchTemplate() {
+    downloadText('demagcal-batch-template.csv', BATCH_TEMPLATE);
+}
+
+// Make batch functions globally available
+window.processBatchFile = processBatchFile;
+window.downloadBatchTemplate = downloadBatchTemplate;
+
+// Simulate the Stoner–Wohlfarth loop of the current geometry at the chosen field angle
+function runStonerWohlfarth() {
+    calculator.calculateStonerWohlfarth(appState.currentGeometry, {
+        fieldAngle: inputHandler.getValue('sw-field-angle', UI_CONFIG.DEFAULT_VALUES.fieldAngle)
+    });
+}
+
+// Make runStonerWohlfarth globally available
+window.runStonerWohlfarth = runStonerWohlfarth;
+
+// Show the displacement axis only for a pair
+function updateCouplingMode() {
+    const selector = document.getElementById('coupling-mode');
+    if (!selector) return;
+    
+    document.querySelectorAll('.coupling-pair-option').forEach(group => {
+        group.style.display = selector.value === 'pair' ? '' : 'none';
+    });
+}
+
+// Couple the current prism to a neighbour or an array at the chosen spacing
+function runDipolarCoupling() {
+    calculator.calculateDipolarCoupling(appState.currentGeometry, {
+        mode: document.getElementById('coupling-mode').value,
+        spacing: inputHandler.getValue('coupling-spacing', UI_CONFIG.DEFAULT_VALUES.couplingSpacing),
+        direction: document.getElementById('coupling-direction').value
+    });
+}
+
+// Make dipolar coupling functions globally available
+window.updateCouplingMode = updateCouplingMode;
+window.runDipolarCoupling = runDipolarCoupling;
+
+// Add a stack layer on top, copying the current top layer
+function addStackLayer() {
+    const body = document.getElementById('stack-layers');
+    const top = body && body.lastElementChild;
+    if (!top) return;
+    
+    const row = top.cloneNode(true);
+    row.querySelector('.stack-role').value = top.querySelector('.stack-role').value;
+    body.appendChild(row);
+}
+
+// Remove one stack layer, keeping at least one
+function removeStackLayer(button) {
+    const row = button.closest('.stack-layer');
+    if (row && row.parentElement.children.length > 1) {
+        row.remove();
+    }
+}
+
+// Compute the stack from the layer table (bottom first; kA/m, MJ/m³ and pJ/m as in the sidebar)
+function runStack() {
+    const rows = Array.from(document.querySelectorAll('#stack-layers .stack-layer'));
+    const number = (row, selector) => Number(row.querySelector(selector).value);
+    
+    calculator.calculateStack(appState.currentGeometry, {
+        layers: rows.map(row => ({
+            role: row.querySelector('.stack-role').value,
+            thickness: number(row, '.stack-thickness'),
+            Ms: number(row, '.stack-ms') * 1e3,
+            Ku: number(row, '.stack-ku') * 1e6,
+            A: number(row, '.stack-a') * 1e-12
+        })),
+        spacers: rows.slice(0, -1).map(row => number(row, '.stack-spacer'))
+    });
+}
+
+// Make stack functions globally available
+window.addStackLayer = addStackLayer;
+window.removeStackLayer = removeStackLayer;
+window.runStack = runStack;
+
+// Redraw the scenario comparison, optionally below an error message
+function renderScenarios(error = null) {
+    updateResultElement('scenario-comparison',
+        (error ? formatError(error, 'Scenario') : '') + renderScenarioComparison(appState.scenarios), false);
+}
+
+// Pin the result for the current geometry and inputs as a scenario
+function pinScenario() {
+    try {
+        if (appState.scenarios.length >= UI_CONFIG.MAX_SCENARIOS) {
+            throw new Error(`At most ${UI_CONFIG.MAX_SCENARIOS} scenarios can be compared; remove one first`);
+        }
+        
+        const geometry = appState.currentGeometry;
+        const result = calculator.currentResult(geometry);
+        const material = findMaterial(document.getElementById('material-selector')?.value);
+        const id = appState.nextScenarioId++;
+        
+        appState.scenarios.push({
+            id,
+            label: `#${id} ${GEOMETRY_NAMES[geometry] || geometry}${material ? `, ${material.name}` : ''}`,
+            result
+        });
+        renderScenarios();
+    } catch (error) {
+        renderScenarios(error);
+    }
+}
+
+// Remove one pinned scenario (the next one becomes the baseline when the first is removed)
+function removeScenario(id) {
+    appState.scenarios = appState.scenarios.filter(scenario => scenario.id !== id);
+    renderScenarios();
+}
+
+// Remove all pinned scenarios
+function clearScenarios() {
+    appState.scenarios = [];
+    renderScenarios();
+}
+
+// Download the pinned scenarios as CSV, one row per scenario
+function exportScenarios() {
+    if (appState.scenarios.length === 0) return;
+    
+    downloadText('demagcal-scenarios.csv', resultsToCsv(
+        appState.scenarios.map(({ result }) => result),
+        appState.scenarios.map(({ label }) => label)
+    ));
+}
+
+// Make scenario functions globally available
+window.pinScenario = pinScenario;
+window.removeScenario = removeScenario;
+window.clearScenarios = clearScenarios;
+window.exportScenarios = exportScenarios;
+
+// Show the temperature scaling inputs for the chosen law and recalculate
+function updateTemperatureScaling() {
+    const selector = document.getElementById('temperature-scaling');
+    if (!selector) return;
+    
+    document.querySelectorAll('.temperature-scaling-options').forEach(group => {
+        group.style.display = selector.value === 'off' ? 'none' : '';
+    });
+    document.querySelectorAll('.kuzmin-option').forEach(group => {
+        group.style.display = selector.value === 'kuzmin' ? '' : 'none';
+    });
+    
+    calculator.cache.clear();
+    immediateGeometryCalculation();
+}
+
+// Make updateTemperatureScaling globally available
+window.updateTemperatureScaling = updateTemperatureScaling;
+
+// Switch between a bulk Ku and the interface model Ku = Kv + Ks/t, then recalculate
+function updateAnisotropyModel() {
+    const selector = document.getElementById('anisotropy-model');
+    if (!selector) return;
+    
+    const interfaceModel = selector.value === 'interface';
+    document.querySelectorAll('.interface-anisotropy-options').forEach(group => {
+        group.style.display = interfaceModel ? '' : 'none';
+    });
+    document.querySelectorAll('.bulk-anisotropy-option').forEach(group => {
+        group.style.display = interfaceModel ? 'none' : '';
+    });
+    updateSweepParameters();
+    
+    calculator.cache.clear();
+    immediateGeometryCalculation();
+}
+
+// Switch between the uniaxial ⊥/∥ choice and the general crystal anisotropy, then recalculate
+function updateCrystalAnisotropy() {
+    const selector = document.getElementById('crystal-anisotropy');
+    if (!selector) return;
+    
+    const general = selector.value === 'general';
+    document.querySelectorAll('.crystal-anisotropy-options').forEach(group => {
+        group.style.display = general ? '' : 'none';
+    });
+    document.querySelectorAll('.uniaxial-anisotropy-option').forEach(group => {
+        group.style.display = general ? 'none' : '';
+    });
+    syncMaterialSelector();
+    
+    calculator.cache.clear();
+    immediateGeometryCalculation();
+}
+
+// Make updateCrystalAnisotropy globally available
+window.updateCrystalAnisotropy = updateCrystalAnisotropy;
+
+// Plot K_eff·t against the thickness of the current geometry (interface model)
+function runInterfaceAnisotropy() {
+    calculator.calculateInterfaceAnisotropy(appState.currentGeometry);
+}
+
+// Make interface anisotropy functions globally available
+window.updateAnisotropyModel = updateAnisotropyModel;
+window.runInterfaceAnisotropy = runInterfaceAnisotropy;
+
+// Fill the sweep parameter list with the inputs of the current geometry
+function updateSweepParameters() {
+    const selector = document.getElementById('sweep-parameter');
+    if (!selector) return;
+    
+    const geometry = appState.currentGeometry;
+    // Ku is derived from Kv, Ks and the thickness under the interface model, so it cannot be swept
+    const ids = sweepParametersFor(geometry, inputHandler.getGeometryDimensions(geometry))
+        .filter(id => id !== 'ku-value' || !inputHandler.getInterfaceAnisotropy());
+    const previous = selector.value;
+    
+    selector.innerHTML = ids.map(id => {
+        const { label, unit } = SWEEP_PARAMETERS[id];
+        return `<option value="${id}">${label} [${unit}]</option>`;
+    }).join('');
+    
+    // Keep the chosen parameter (e.g. Ms) when it applies to the new geometry too
+    if (ids.includes(previous)) {
+        selector.value = previous;
+    } else {
+        updateSweepRange();
+    }
+}
+
+// Suggest a range around the current value of the selected parameter
+function updateSweepRange() {
+    const selector = document.getElementById('sweep-parameter');
+    const startInput = document.getElementById('sweep-start');
+    const endInput = document.getElementById('sweep-end');
+    if (!selector || !startInput || !endInput || !selector.value) return;
+    
+    const value = inputHandler.getValue(selector.value, 1);
+    const round = (x) => Number(x.toPrecision(3));
+    startInput.value = value > 0 ? round(value / 2) : round(value - 1);
+    endInput.value = value > 0 ? round(value * 2) : round(value + 1);
+}
+
+// Run the sweep described by the sweep controls
+function runParameterSweep() {
+    const selector = document.getElementById('sweep-parameter');
+    const logInput = document.getElementById('sweep-log');
+    if (!selector || !selector.value) return;
+    
+    const points = Math.round(inputHandler.getValue('sweep-points', 60));
+    calculator.calculateSweep(appState.currentGeometry, {
+        parameter: selector.value,
+        start: inputHandler.getValue('sweep-start', NaN),
+        end: inputHandler.getValue('sweep-end', NaN),
+        points: Math.min(Math.max(points, 2), CALCULATION_CONSTRAINTS.MAX_SWEEP_POINTS),
+        logScale: Boolean(logInput && logInput.checked)
+    });
+}
+
+// Copy a value picked on the sweep chart into its input (recalculates via the input listener)
+function applySweepValue(inputId, value) {
+    inputHandler.setValue(inputId, Number(value.toPrecision(4)));
+}
+
+// Make sweep functions globally available
+window.updateSweepRange = updateSweepRange;
+window.runParameterSweep = runParameterSweep;
+window.applySweepValue = applySweepValue;
+
+// Fill the material selector with presets and saved custom materials
+function populateMaterialSelector(selectedId = '') {
+    const selector = document.getElementById('material-selector');
+    if (!selector) return;
+    
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const options = (materials) => materials
+        .map(({ id, name }) => `<option value="${escape(id)}">${escape(name)}</option>`)
+        .join('');
+    const custom = loadCustomMaterials();
+    
+    selector.innerHTML = `
+        <option value="">Custom values</option>
+        <optgroup label="Presets">${options(MATERIAL_PRESETS)}</optgroup>
+        ${custom.length > 0 ? `<optgroup label="Saved">${options(custom)}</optgroup>` : ''}
+    `;
+    selector.value = findMaterial(selectedId) ? selectedId : '';
+}
+
+// Show a short message under the material selector
+let materialInfoTimer = null;
+function showMaterialInfo(text, isError = false) {
+    const info = document.getElementById('material-info');
+    if (!info) return;
+    
+    info.textContent = text;
+    info.style.color = isError ? '#e74c3c' : '';
+    clearTimeout(materialInfoTimer);
+    materialInfoTimer = setTimeout(() => { info.textContent = ''; }, UI_CONFIG.MATERIAL_INFO_DISPLAY_TIME);
+}
+
+// Load a material's Ms, Ku and A into the inputs
+function applyMaterial(id) {
+    const material = findMaterial(id);
+    if (!material) return;
+    
+    inputHandler.setValue('ms-value', material.Ms);
+    inputHandler.setValue('ku-value', material.Ku);
+    inputHandler.setValue('exchange-value', material.A);
+    if (material.Tc) {
+        inputHandler.setValue('curie-temperature', material.Tc);
+    }
+    
+    // Cubic materials switch on the general crystal anisotropy; others clear K1, K2 but keep a tilted axis
+    const crystalSelector = document.getElementById('crystal-anisotropy');
+    const cubic = material.K1 !== undefined;
+    if (crystalSelector && (cubic || crystalSelector.value === 'general')) {
+        inputHandler.setValue('k1-value', cubic ? material.K1 : 0);
+        inputHandler.setValue('k2-value', cubic ? material.K2 : 0);
+        crystalSelector.value = 'general';
+        updateCrystalAnisotropy();
+    }
+    
+    // setValue fires input events that reset the selector; restore the choice
+    document.getElementById('material-selector').value = id;
+    showMaterialInfo(`${material.name}: Ms = ${material.Ms} kA/m, Ku = ${material.Ku} MJ/m³, ` +
+        (cubic ? `cubic K1 = ${material.K1}, K2 = ${material.K2} MJ/m³ (crystal anisotropy set to General), ` : '') +
+        `A = ${material.A} pJ/m` +
+        (material.Tc ? `, Tc = ${material.Tc} K` : '') +
+        (material.info ? `. ${material.info}` : ''));
+}
+
+// Cubic materials need the general crystal anisotropy with their K1, K2; others need K1 = K2 = 0 if it is on
+function matchesCubicAnisotropy(material) {
+    if (!inputHandler.getCrystalAnisotropy()) {
+        return material.K1 === undefined;
+    }
+    return inputHandler.getValue('k1-value', NaN) === (material.K1 ?? 0) &&
+        inputHandler.getValue('k2-value', NaN) === (material.K2 ?? 0);
+}
+
+// Fall back to "Custom values" once Ms, Ku or A no longer match the selected material
+function syncMaterialSelector() {
+    const selector = document.getElementById('material-selector');
+    const material = selector && findMaterial(selector.value);
+    if (!material) return;
+    
+    const matches = material.Ms === inputHandler.getValue('ms-value', NaN) &&
+        material.Ku === inputHandler.getValue('ku-value', NaN) &&
+        material.A === inputHandler.getValue('exchange-value', NaN) &&
+        matchesCubicAnisotropy(material);
+    if (!matches) {
+        selector.value = '';
+    }
+}
+
+// Save the current Ms, Ku and A as a custom material
+function saveCurrentMaterial() {
+    const selector = document.getElementById('material-selector');
+    const current = selector && findMaterial(selector.value);
+    const name = prompt('Save current Ms, Ku and A as material:', current && current.id.startsWith('custom:') ? current.name : '');
+    if (name === null) return;
+    
+    // K1 and K2 are saved when the general crystal anisotropy is on
+    const cubic = inputHandler.getCrystalAnisotropy() !== null;
+    try {
+        const saved = saveCustomMaterial({
+            name,
+            Ms: inputHandler.getValue('ms-value', NaN),
+            Ku: inputHandler.getValue('ku-value', NaN),
+            ...(cubic && { K1: inputHandler.getValue('k1-value', NaN), K2: inputHandler.getValue('k2-value', NaN) }),
+            A: inputHandler.getValue('exchange-value', NaN),
+            Tc: inputHandler.getValue('curie-temperature', UI_CONFIG.DEFAULT_VALUES.curieTemperature)
+        });
+        populateMaterialSelector(saved.id);
+        showMaterialInfo(`Saved '${saved.name}'`);
+    } catch (error) {
+        showMaterialInfo(error.message, true);
+    }
+}
+
+// Delete the selected custom material
+function deleteSelectedMaterial() {
+    const selector = document.getElementById('material-selector');
+    const material = selector && findMaterial(selector.value);
+    
+    if (!material || !material.id.startsWith('custom:')) {
+        showMaterialInfo('Select a saved material to delete; presets are built in', true);
+        return;
+    }
+    
+    deleteCustomMaterial(material.id);
+    populateMaterialSelector();
+    showMaterialInfo(`Deleted '${material.name}'`);
+}
+
+// Download saved materials as JSON
+function exportMaterials() {
+    if (loadCustomMaterials().length === 0) {
+        showMaterialInfo('No saved materials to export', true);
+        return;
+    }
+    downloadText('demagcal-materials.json', exportMaterialsJson(), 'application/json');
+}
+
+// Import materials from a JSON file
+async function importMaterials(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    
+    try {
+        const count = importMaterialsJson(await file.text());
+        const selector = document.getElementById('material-selector');
+        populateMaterialSelector(selector ? selector.value : '');
+        showMaterialInfo(`Imported ${count} material${count === 1 ? '' : 's'}`);
+    } catch (error) {
+        showMaterialInfo(`Import failed: ${error.message}`, true);
+    } finally {
+        input.value = '';
+    }
+}
+
+// Make material functions globally available
+window.applyMaterial = applyMaterial;
+window.saveCurrentMaterial = saveCurrentMaterial;
+window.deleteSelectedMaterial = deleteSelectedMaterial;
+window.exportMaterials = exportMaterials;
+window.importMaterials = importMaterials;
+
 // Toggle advanced options (inputs and properties)
 function toggleAdvancedOptions() {
     const toggle = document.getElementById('show-advanced');
@@ -207,6 +896,24 @@ function toggleAdvancedOptions() {
                 case 'sphere':
                     calculator.calculateSphere();
                     break;
+                case 'ellipsoid':
+                    calculator.calculateEllipsoid();
+                    break;
+                case 'ring':
+                    calculator.calculateRing();
+                    break;
+                case 'elliptic-cylinder':
+                    calculator.calculateEllipticCylinder();
+                    break;
+                case 'nanowire':
+                    calculator.calculateNanowire();
+                    break;
+                case 'voxel':
+                    calculator.calculateVoxel();
+                    break;
+                case 'polygon':
+                    calculator.calculatePolygon();
+                    break;
                 case 'thin-film':
                     calculator.calculateThinFilm();
                     break;
@@ -215,6 +922,8 @@ function toggleAdvancedOptions() {
                     break;
             }
         }
+        
+        updatePermalink();
     }
 }
 
@@ -223,20 +932,99 @@ window.toggleAdvancedOptions = toggleAdvancedOptions;
 
 
 
+// Write the current state into the URL hash (replacing, so typing does not fill the history)
+let restoringPermalink = false;
+function updatePermalink() {
+    if (restoringPermalink || !window.history || !window.history.replaceState) return;
+    
+    const values = {};
+    PERMALINK_FIELDS.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) values[id] = element.value;
+    });
+    
+    const hash = encodePermalink({
+        geometry: appState.currentGeometry,
+        easyAxisInPlane: appState.easyAxisInPlane,
+        demagConvention: appState.demagConvention,
+        showAdvanced: appState.showAdvanced,
+        values
+    });
+    window.history.replaceState(null, '', `#${hash}`);
+}
+
+// Restore the calculator from a permalink hash; returns false if the hash holds no state
+function restorePermalink(hash) {
+    const state = decodePermalink(hash);
+    if (!state) return false;
+    
+    restoringPermalink = true;
+    try {
+        // Only numbers go into number inputs, only existing options into selects and only mask characters into the voxel mask
+        PERMALINK_FIELDS.forEach(id => {
+            const element = document.getElementById(id);
+            const value = state.values[id];
+            if (!element || value === undefined) return;
+            
+            const valid = element.tagName === 'SELECT'
+                ? Array.from(element.options).some(option => option.value === value)
+                : element.tagName === 'TEXTAREA'
+                    ? /^[#1.0\s/|]*$/.test(value)
+                    : value.trim() !== '' && isFinite(Number(value));
+            if (valid) element.value = value;
+        });
+        
+        const axis = document.querySelector(`input[name="easy-axis"][value="${state.easyAxisInPlane ? 'in-plane' : 'out-of-plane'}"]`);
+        const convention = document.getElementById('demag-convention');
+        const advanced = document.getElementById('show-advanced');
+        const geometrySelector = document.getElementById('geometry-selector');
+        if (axis) axis.checked = true;
+        if (convention) convention.value = state.demagConvention;
+        if (advanced) advanced.checked = state.showAdvanced;
+        if (geometrySelector) geometrySelector.value = state.geometry;
+        
+        // Let the usual handlers show/hide dependent inputs and pass settings to the calculator
+        updateThinFilmShape();
+        updateNanowireCrossSection();
+        updateVoxelShape();
+        updateAnisotropyModel();
+        updateCrystalAnisotropy();
+        updateTemperatureScaling();
+        updateDemagConvention();
+        updateEasyAxisDirection();
+        toggleAdvancedOptions();
+        syncMaterialSelector();
+    } finally {
+        restoringPermalink = false;
+    }
+    
+    changeGeometry(state.geometry);
+    return true;
+}
+
+// Copy the permalink of the current calculation
+async function copyPermalink() {
+    const status = document.getElementById('permalink-status');
+    updatePermalink();
+    
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        if (status) status.textContent = 'Link copied. Opening it reproduces this calculation.';
+    } catch (error) {
+        // Clipboard access can be refused (insecure context, permissions); the address bar still has the link
+        if (status) status.textContent = 'Copy failed; copy the address bar URL instead.';
+    }
+}
+
+// Make copyPermalink globally available
+window.copyPermalink = copyPermalink;
+
 // Update page title
 function updatePageTitle(geometryType) {
     const titleElement = document.getElementById('page-title');
     if (!titleElement) return;
     
-    const geometryNames = {
-        'cylinder': 'Circular Cylinder',
-        'prism': 'Rectangular Prism',
-        'sphere': 'Sphere',
-        'thin-film': 'Thin Film',
-        'infinite-rod': 'Infinite Rod'
-    };
-    
-    const geometryName = geometryNames[geometryType] || 'Unknown Geometry';
+    const geometryName = GEOMETRY_NAMES[geometryType] || 'Unknown Geometry';
     titleElement.textContent = `Demagnetization Calculator - ${geometryName}`;
 }
 
@@ -249,16 +1037,22 @@ function setupKeyboardShortcuts() {
             immediateGeometryCalculation();
         }
         
-        // Number keys 1-5 to switch geometry
+        // Number keys 0-9 and P to switch geometry
         if (!e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
             // Only activate if not typing in an input
-            if (document.activeElement.tagName !== 'INPUT' && document.activeElement.tagName !== 'SELECT') {
+            if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(document.activeElement.tagName)) {
                 const geometryMap = {
                     '1': 'cylinder',
                     '2': 'prism', 
                     '3': 'sphere',
                     '4': 'thin-film',
-                    '5': 'infinite-rod'
+                    '5': 'infinite-rod',
+                    '6': 'ellipsoid',
+                    '7': 'ring',
+                    '8': 'elliptic-cylinder',
+                    '9': 'nanowire',
+                    '0': 'voxel',
+                    'p': 'polygon'
                 };
                 
                 if (geometryMap[e.key]) {
@@ -308,7 +1102,7 @@ function setupKeyboardShortcuts() {
 function showKeyboardShortcutsHelp() {
     alert(`Keyboard Shortcuts:
     
-1-5: Switch geometry types
+0-9, P: Switch geometry types
 Ctrl/Cmd + Enter: Recalculate
 Arrow Keys: Navigate geometry selector
 Esc: Clear focus
@@ -355,6 +1149,8 @@ function cleanupCaches() {
 
 // Initialize application
 function initializeApp() {
+    // Read a shared state before the default geometry overwrites the hash
+    const sharedHash = window.location.hash;
     
     // Initialize theory tabs
     initializeTheoryTabs();
@@ -362,6 +1158,9 @@ function initializeApp() {
     // Initialize geometry
     initializeGeometry();
     
+    // Initialize materials library
+    populateMaterialSelector();
+    
     
     // Setup input validation
     inputHandler.setupAllValidations();
@@ -372,8 +1171,10 @@ function initializeApp() {
     // Setup keyboard shortcuts
     setupKeyboardShortcuts();
     
-    // Perform initial calculation for default geometry
-    calculator.calculateCylinder();
+    // Restore a shared calculation, or perform the initial calculation for the default geometry
+    if (!restorePermalink(sharedHash)) {
+        calculator.calculateCylinder();
+    }
     
     
     // Defer MathJax rendering
@@ -0,0 +1,263 @@
+// Batch processing of geometry/material tables (CSV in, CSV out; no DOM access)
+// Input units follow the UI: dimensions in nm, Ms in kA/m, Ku in MJ/m³, A in pJ/m, T and Tc in K
+
+import { computeDemag, GEOMETRIES, GEOMETRY_DIMENSIONS } from './demag-core.js';
+import { RESULT_COLUMNS, FLUXMETRIC_COLUMNS, TENSOR_COLUMNS, CRYSTAL_COLUMNS, escapeCsvField } from './result-format.js';
+
+// Example table offered as a download in the UI
+export const BATCH_TEMPLATE = [
+    'label,geometry,a,b,c,thickness,diameter,Ms,Ku,A,T',
+    'pillar-40,cylinder,,,,1.2,40,1100,0.9,15,300',
+    'pillar-60,cylinder,,,,1.2,60,1100,0.9,15,300',
+    'bar-100x50,prism,100,50,2,,,800,0,13,300'
+].join('\n') + '\n';
+
+// Material columns: canonical name -> accepted header spellings (case-insensitive) and SI scale
+const MATERIAL_COLUMNS = {
+    Ms: { aliases: ['ms', 'ms_ka_m'], scale: 1e3 },
+    Ku: { aliases: ['ku', 'ku_mj_m3'], scale: 1e6 },
+    A: { aliases: ['a_pj_m', 'aex', 'exchange'], scale: 1e-12 },
+    T: { aliases: ['t', 't_k', 'temperature'], scale: 1 }
+};
+
+// Curie temperature column, used only when temperature scaling is on
+const CURIE_ALIASES = ['tc', 'tc_k', 'curie_temperature'];
+
+// Dimensions that are names rather than numbers
+const TEXT_DIMENSIONS = ['shape', 'crossSection', 'mask'];
+
+// Normalize a header for matching: lower case, no spaces, dashes or underscores
+const normalizeHeader = (name) => name.trim().toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Parse CSV text into a header and rows of fields
+ * Handles quoted fields with commas, doubled quotes and line breaks; skips blank lines
+ * @param {string} text - CSV text
+ * @returns {{header: Array<string>, rows: Array<Array<string>>}}
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error("Unterminated quoted field in CSV");
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        throw new Error("CSV file is empty");
+    }
+
+    const [header, ...rows] = nonEmpty;
+    return { header: header.map(name => name.trim()), rows };
+}
+
+// Map header positions to dimension and material names
+function mapColumns(header) {
+    const dimensionNames = [...new Set(Object.values(GEOMETRY_DIMENSIONS).flat())];
+    const columns = { geometry: -1, dims: {}, material: {}, curieTemperature: -1 };
+
+    header.forEach((name, index) => {
+        const key = normalizeHeader(name);
+
+        // Upper-case 'A' is the exchange stiffness, lower-case 'a' the prism/ellipsoid dimension
+        if (name.trim() === 'A') {
+            columns.material.A = index;
+            return;
+        }
+
+        if (key === 'geometry') {
+            columns.geometry = index;
+            return;
+        }
+
+        if (CURIE_ALIASES.some(alias => normalizeHeader(alias) === key)) {
+            columns.curieTemperature = index;
+            return;
+        }
+
+        const dimension = dimensionNames.find(dim => normalizeHeader(dim) === key || `${normalizeHeader(dim)}nm` === key);
+        if (dimension) {
+            columns.dims[dimension] = index;
+            return;
+        }
+
+        const material = Object.keys(MATERIAL_COLUMNS)
+            .find(prop => MATERIAL_COLUMNS[prop].aliases.some(alias => normalizeHeader(alias) === key));
+        if (material) {
+            columns.material[material] = index;
+        }
+    });
+
+    if (columns.geometry < 0) {
+        throw new Error("CSV needs a 'geometry' column");
+    }
+
+    return columns;
+}
+
+// Read a numeric cell; blank cells return undefined
+function readNumber(value, name) {
+    const text = (value ?? '').trim();
+    if (text === '') return undefined;
+
+    const number = Number(text);
+    if (!isFinite(number)) {
+        throw new Error(`${name} must be a number, got '${text}'`);
+    }
+    return number;
+}
+
+/**
+ * Run computeDemag for every row of a parsed table
+ * Blank material cells fall back to `defaults` (SI units, e.g. the current sidebar values)
+ * @param {{header: Array<string>, rows: Array<Array<string>>}} table - Output of parseCsv
+ * @param {Object} options
+ * @param {Object} options.defaults - {Ms, Ku, A, T} in SI units
+ * @param {boolean} options.easyAxisInPlane - Crystalline easy axis in-plane
+ * @param {string} options.convention - 'magnetometric' or 'fluxmetric'
+ * @param {number} options.deltaTarget - Target thermal stability Δ
+ * @param {number} options.attemptFrequency - Attempt frequency f₀ [Hz]
+ * @param {Object|null} options.temperatureScaling - Temperature scaling settings; a Tc column overrides the Curie temperature
+ * @param {Object|null} options.interfaceAnisotropy - {Kv, Ks} in SI: every row then uses Ku = Kv + Ks/t (the Ku column is ignored)
+ * @param {Object|null} options.crystalAnisotropy - General crystal anisotropy for every row (see computeDemag)
+ * @returns {Array<{fields: Array<string>, result: Object|null, error: string|null}>}
+ */
+export function runBatch(table, {
+    defaults, easyAxisInPlane = false, convention = 'magnetometric', deltaTarget, attemptFrequency, temperatureScaling = null,
+    interfaceAnisotropy = null, crystalAnisotropy = null
+}) {
+    const columns = mapColumns(table.header);
+
+    return table.rows.map(fields => {
+        try {
+            const geometry = (fields[columns.geometry] ?? '').trim().toLowerCase();
+            if (!GEOMETRIES.includes(geometry)) {
+                throw new Error(`Unknown geometry '${geometry}'`);
+            }
+
+            // Only the dimensions of this row's geometry are read; other columns may be blank
+            const dims = {};
+            for (const name of GEOMETRY_DIMENSIONS[geometry]) {
+                const index = columns.dims[name];
+                if (index === undefined) continue;
+
+                const value = TEXT_DIMENSIONS.includes(name)
+                    ? ((fields[index] ?? '').trim().toLowerCase() || undefined)
+                    : readNumber(fields[index], name);
+                if (value !== undefined) dims[name] = value;
+            }
+
+            const material = {};
+            for (const [name, { scale }] of Object.entries(MATERIAL_COLUMNS)) {
+                const index = columns.material[name];
+                const value = index === undefined ? undefined : readNumber(fields[index], name);
+                material[name] = value === undefined ? defaults[name] : value * scale;
+            }
+
+            const curieTemperature = columns.curieTemperature < 0
+                ? undefined
+                : readNumber(fields[columns.curieTemperature], 'Tc');
+            const scaling = temperatureScaling && curieTemperature !== undefined
+                ? { ...temperatureScaling, curieTemperature }
+                : temperatureScaling;
+
+            const result = computeDemag({
+                geometry, dims, ...material, easyAxisInPlane, convention, deltaTarget, attemptFrequency,
+                temperatureScaling: scaling, interfaceAnisotropy, crystalAnisotropy
+            });
+            return { fields, result, error: null };
+
+        } catch (error) {
+            return { fields, result: null, error: error.message };
+        }
+    });
+}
+
+/**
+ * Format batch output as CSV: the input columns, then results and an error column
+ * @param {Array<string>} header - Input header
+ * @param {Array<Object>} entries - Output of runBatch
+ * @returns {string} CSV text
+ */
+export function batchToCsv(header, entries) {
+    const valueColumns = [
+        ...RESULT_COLUMNS,
+        ...(entries.some(entry => entry.result && entry.result.displayFactors) ? FLUXMETRIC_COLUMNS : []),
+        ...(entries.some(entry => entry.result && entry.result.tensor) ? TENSOR_COLUMNS : []),
+        ...(entries.some(entry => entry.result && entry.result.energySurface) ? CRYSTAL_COLUMNS : [])
+    ];
+
+    const lines = [[...header, ...valueColumns.map(([name]) => name), 'error']];
+    for (const { fields, result, error } of entries) {
+        const padded = header.map((_, i) => fields[i] ?? '');
+        const values = valueColumns.map(([, value]) => result ? value(result) : null);
+        lines.push([...padded, ...values, error]);
+    }
+
+    return lines.map(row => row.map(escapeCsvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Parse, compute and format a whole CSV table in one call
+ * @param {string} text - Input CSV text
+ * @param {Object} options - See runBatch
+ * @returns {{csv: string, total: number, failed: number, entries: Array<Object>}}
+ */
+export function processBatchCsv(text, options) {
+    const table = parseCsv(text);
+    const entries = runBatch(table, options);
+
+    return {
+        csv: batchToCsv(table.header, entries),
+        total: entries.length,
+        failed: entries.filter(entry => entry.error).length,
+        entries
+    };
+}
+
+export default {
+    BATCH_TEMPLATE,
+    parseCsv,
+    runBatch,
+    batchToCsv,
+    processBatchCsv
+};
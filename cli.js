@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// Command-line interface around the headless calculation core
+// Usage: demagcal <geometry> [--dimension value ...] [--ms kA/m] [--ku MJ/m³] [--json | --csv]
+
+import { parseArgs } from 'node:util';
+import { UI_CONFIG, GEOMETRY_NAMES } from './config.js';
+import { computeDemag, GEOMETRIES, GEOMETRY_DIMENSIONS, shapeDimensionNames } from './demag-core.js';
+import { formatResultText, resultsToCsv } from './result-format.js';
+
+// Dimensions that are names rather than numbers
+const TEXT_DIMENSIONS = ['shape', 'crossSection', 'mask'];
+
+// camelCase dimension name -> kebab-case flag, e.g. outerDiameter -> outer-diameter
+const toFlag = (name) => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+// Geometry id -> key in UI_CONFIG.DEFAULT_VALUES, e.g. thin-film -> thinFilm
+const toDefaultsKey = (geometry) => geometry.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+const DIMENSION_FLAGS = [...new Set(Object.values(GEOMETRY_DIMENSIONS).flat())];
+
+const OPTIONS = {
+    ms: { type: 'string' },
+    ku: { type: 'string' },
+    kv: { type: 'string' },
+    ks: { type: 'string' },
+    k1: { type: 'string' },
+    k2: { type: 'string' },
+    'axis-theta': { type: 'string' },
+    'axis-phi': { type: 'string' },
+    'cubic-orientation': { type: 'string' },
+    'cubic-angle': { type: 'string' },
+    exchange: { type: 'string' },
+    temperature: { type: 'string' },
+    'target-delta': { type: 'string' },
+    'attempt-frequency': { type: 'string' },
+    scaling: { type: 'string' },
+    'curie-temperature': { type: 'string' },
+    'reference-temperature': { type: 'string' },
+    'ku-exponent': { type: 'string' },
+    'kuzmin-s': { type: 'string' },
+    'in-plane': { type: 'boolean', default: false },
+    convention: { type: 'string', default: 'magnetometric' },
+    json: { type: 'boolean', default: false },
+    csv: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    ...Object.fromEntries(DIMENSION_FLAGS.map(name => [toFlag(name), { type: 'string' }]))
+};
+
+function usage() {
+    const defaults = UI_CONFIG.DEFAULT_VALUES;
+    const geometryLines = GEOMETRIES.map(geometry => {
+        const flags = GEOMETRY_DIMENSIONS[geometry].map(name => `--${toFlag(name)}`).join(' ');
+        return `  ${geometry.padEnd(18)} ${(GEOMETRY_NAMES[geometry] || '').padEnd(24)} ${flags}`.trimEnd();
+    });
+
+    return `Usage: demagcal <geometry> [dimensions] [material] [output]
+
+Geometries and dimension flags (nm):
+${geometryLines.join('\n')}
+
+  thin-film --shape rectangular|circular, nanowire --cross-section circular|square,
+  nanowire --threshold sets the Nz convergence target, prism --euler-alpha/--euler-beta/--euler-gamma
+  rotate the prism (z-y'-z'' Euler angles in degrees). voxel --shape triangle|stadium|rounded-rectangle|
+  ellipse|mask; outlines use --resolution and --layers (cell counts), --shape mask takes --mask '..##../.####.'
+  (rows separated by '/', layers by '|', '#' = magnet). polygon --sides sets the regular polygon
+  (3 = triangle, 6 = hexagon). Missing dimensions use the web UI defaults.
+
+Material:
+  --ms <kA/m>           Saturation magnetization (default ${defaults.Ms})
+  --ku <MJ/m³>          Uniaxial anisotropy (default ${defaults.Ku})
+  --kv <MJ/m³>, --ks <mJ/m²>  Volume and interface anisotropy instead of --ku: Ku = Kv + Ks/t at the
+                        geometry's thickness (defaults ${defaults.Kv} and ${defaults.Ks})
+  --exchange <pJ/m>     Exchange stiffness (default ${defaults.A})
+  --temperature <K>     Temperature (default ${defaults.T})
+  --target-delta <Δ>    Target thermal stability (default ${defaults.thermalStability})
+  --attempt-frequency <GHz>  Attempt frequency f₀ for the retention time (default ${defaults.attemptFrequency})
+  --in-plane            Crystalline easy axis in-plane (default out-of-plane)
+
+General crystal anisotropy (any of these flags replaces --in-plane by the full energy surface):
+  --axis-theta <°>, --axis-phi <°>  Direction of the Ku axis: polar angle from z, azimuth from x (default 0, 0)
+  --k1 <MJ/m³>, --k2 <MJ/m³>  Cubic anisotropy constants (default ${defaults.K1} and ${defaults.K2})
+  --cubic-orientation <hkl>  Film normal of the cubic crystal: 001, 110 or 111 (default ${defaults.cubicOrientation})
+  --cubic-angle <°>     In-plane rotation of the crystal (default ${defaults.cubicAngle})
+
+Temperature scaling (Ms, Ku and A given at the reference temperature, scaled to --temperature):
+  --scaling <law>       bloch or kuzmin (default off)
+  --curie-temperature <K>    Curie temperature (default ${defaults.curieTemperature})
+  --reference-temperature <K>  Temperature of the given Ms, Ku, A (default ${defaults.referenceTemperature})
+  --ku-exponent <n>     Callen–Callen exponent in Ku ∝ Ms^n (default ${defaults.kuExponent})
+  --kuzmin-s <s>        Kuz'min shape parameter (default ${defaults.kuzminS})
+  --convention <name>   magnetometric (default) or fluxmetric factors in addition
+
+Output:
+  --json                Print the full result object as JSON
+  --csv                 Print a CSV header and one result row
+  -h, --help            Show this help
+
+Example:
+  demagcal prism --a 20 --b 20 --c 2 --ms 1000 --ku 0.8
+`;
+}
+
+// Parse a numeric flag value, rejecting partial numbers like "20nm"
+function parseNumber(flag, text) {
+    const value = Number(text);
+    if (text.trim() === '' || !isFinite(value)) {
+        throw new Error(`--${flag} expects a number, got '${text}'`);
+    }
+    return value;
+}
+
+// Collect dimensions for one geometry from flags, falling back to UI defaults for the chosen shape only
+function readDimensions(geometry, values) {
+    const defaults = UI_CONFIG.DEFAULT_VALUES[toDefaultsKey(geometry)] || {};
+    const used = shapeDimensionNames(geometry, { shape: values.shape ?? defaults.shape });
+    const dims = {};
+
+    for (const name of GEOMETRY_DIMENSIONS[geometry]) {
+        const flag = toFlag(name);
+        if (values[flag] !== undefined) {
+            dims[name] = TEXT_DIMENSIONS.includes(name) ? values[flag] : parseNumber(flag, values[flag]);
+        } else if (defaults[name] !== undefined && used.includes(name)) {
+            dims[name] = defaults[name];
+        }
+    }
+
+    // Flags that belong to another geometry are almost certainly a mistake
+    const stray = DIMENSION_FLAGS
+        .filter(name => !GEOMETRY_DIMENSIONS[geometry].includes(name) && values[toFlag(name)] !== undefined);
+    if (stray.length > 0) {
+        throw new Error(`${stray.map(name => `--${toFlag(name)}`).join(', ')} not used by ${geometry}`);
+    }
+
+    return dims;
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(usage());
+        return values.help ? 0 : 1;
+    }
+
+    const [geometry, ...rest] = positionals;
+    if (!GEOMETRIES.includes(geometry)) {
+        throw new Error(`Unknown geometry '${geometry}' (expected one of: ${GEOMETRIES.join(', ')})`);
+    }
+    if (rest.length > 0) {
+        throw new Error(`Unexpected argument '${rest[0]}'`);
+    }
+    if (values.json && values.csv) {
+        throw new Error('Choose either --json or --csv');
+    }
+    if (!['magnetometric', 'fluxmetric'].includes(values.convention)) {
+        throw new Error(`Unknown convention '${values.convention}' (expected magnetometric or fluxmetric)`);
+    }
+
+    const defaults = UI_CONFIG.DEFAULT_VALUES;
+    const material = (flag, fallback) => values[flag] !== undefined ? parseNumber(flag, values[flag]) : fallback;
+
+    // Scaling flags without --scaling are ignored by the core, so reject them here
+    const scalingFlags = ['curie-temperature', 'reference-temperature', 'ku-exponent', 'kuzmin-s']
+        .filter(flag => values[flag] !== undefined);
+    if (values.scaling === undefined && scalingFlags.length > 0) {
+        throw new Error(`--${scalingFlags[0]} needs --scaling bloch|kuzmin`);
+    }
+    const temperatureScaling = values.scaling === undefined ? null : {
+        law: values.scaling,
+        curieTemperature: material('curie-temperature', defaults.curieTemperature),
+        referenceTemperature: material('reference-temperature', defaults.referenceTemperature),
+        kuExponent: material('ku-exponent', defaults.kuExponent),
+        kuzminS: material('kuzmin-s', defaults.kuzminS)
+    };
+
+    // Either interface flag switches Ku to Kv + Ks/t
+    const interfaceFlags = ['kv', 'ks'].filter(flag => values[flag] !== undefined);
+    if (interfaceFlags.length > 0 && values.ku !== undefined) {
+        throw new Error('Give either --ku or --kv/--ks');
+    }
+    const interfaceAnisotropy = interfaceFlags.length === 0 ? null : {
+        Kv: material('kv', defaults.Kv) * 1e6,
+        Ks: material('ks', defaults.Ks) * 1e-3
+    };
+
+    // Any general-anisotropy flag switches from the ⊥/∥ choice to the energy surface
+    const crystalFlags = ['axis-theta', 'axis-phi', 'k1', 'k2', 'cubic-orientation', 'cubic-angle']
+        .filter(flag => values[flag] !== undefined);
+    if (crystalFlags.length > 0 && values['in-plane']) {
+        throw new Error(`--in-plane has no effect with --${crystalFlags[0]}; give the axis as --axis-theta 90`);
+    }
+    const crystalAnisotropy = crystalFlags.length === 0 ? null : {
+        axis: [material('axis-theta', defaults.axisTheta), material('axis-phi', defaults.axisPhi)],
+        K1: material('k1', defaults.K1) * 1e6,
+        K2: material('k2', defaults.K2) * 1e6,
+        cubicOrientation: values['cubic-orientation'] ?? defaults.cubicOrientation,
+        cubicAngle: material('cubic-angle', defaults.cubicAngle)
+    };
+
+    // CLI units follow the web UI; the core works in SI
+    const result = computeDemag({
+        geometry,
+        dims: readDimensions(geometry, values),
+        Ms: material('ms', defaults.Ms) * 1000,
+        Ku: material('ku', defaults.Ku) * 1e6,
+        A: material('exchange', defaults.A) * 1e-12,
+        T: material('temperature', defaults.T),
+        deltaTarget: material('target-delta', defaults.thermalStability),
+        attemptFrequency: material('attempt-frequency', defaults.attemptFrequency) * 1e9,
+        easyAxisInPlane: values['in-plane'],
+        convention: values.convention,
+        temperatureScaling,
+        interfaceAnisotropy,
+        crystalAnisotropy
+    });
+
+    if (values.json) {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } else if (values.csv) {
+        process.stdout.write(resultsToCsv([result]));
+    } else {
+        process.stdout.write(formatResultText(result) + '\n');
+    }
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`demagcal: ${error.message}\n`);
+    process.exitCode = 1;
+}
@@ -15,32 +15,79 @@ export const CALCULATION_CONSTRAINTS = {
     MAX_ASPECT_RATIO: 10000000, // Maximum aspect ratio (10 million)
     CACHE_EXPIRY: 30000, // 30 seconds
     MAX_CACHE_SIZE: 100,
-    DEBOUNCE_DELAY: 50 // ms
+    DEBOUNCE_DELAY: 50, // ms
+    MAX_SWEEP_POINTS: 400 // Points per parameter sweep
 };
 
 // UI configuration
 export const UI_CONFIG = {
     MATERIAL_INFO_DISPLAY_TIME: 3000, // ms
+    MAX_SCENARIOS: 6, // Pinned scenarios in the comparison table
     PERFORMANCE_LOG_INTERVAL: 10, // Log every N calculations
     MAX_INPUT_DIGITS: 10,
     DEFAULT_VALUES: {
         Ms: 1000, // kA/m
         Ku: 0.8, // MJ/m³
+        Kv: 0, // MJ/m³, volume anisotropy (interface model Ku = Kv + Ks/t)
+        Ks: 1.3, // mJ/m², interface anisotropy
+        axisTheta: 0, // degrees, polar angle of the Ku axis from z (general crystal anisotropy)
+        axisPhi: 0, // degrees, azimuth of the Ku axis from x
+        K1: 0.048, // MJ/m³, first cubic constant (Fe)
+        K2: 0, // MJ/m³, second cubic constant
+        cubicOrientation: '001', // film normal of the cubic crystal
+        cubicAngle: 0, // degrees, in-plane rotation of the crystal
         A: 15, // pJ/m
         T: 300, // K
         thermalStability: 60,
-        prism: { a: 20, b: 20, c: 2 },
+        attemptFrequency: 1, // GHz (Néel–Arrhenius f₀)
+        curieTemperature: 1000, // K
+        referenceTemperature: 300, // K, temperature of the entered Ms, Ku, A
+        kuExponent: 3, // Callen–Callen n in Ku ∝ Ms^n
+        kuzminS: 0.35, // Kuz'min shape parameter
+        fieldAngle: 10, // degrees from the easy axis (Stoner–Wohlfarth loop)
+        couplingSpacing: 40, // nm, pair spacing or array pitch (dipolar coupling)
+        prism: { a: 20, b: 20, c: 2, eulerAlpha: 0, eulerBeta: 0, eulerGamma: 0 },
         cylinder: { thickness: 2, diameter: 30 },
-        sphere: { diameter: 20 }
+        sphere: { diameter: 20 },
+        ellipsoid: { a: 15, b: 10, c: 5 },
+        ring: { thickness: 5, outerDiameter: 100, innerDiameter: 50 },
+        ellipticCylinder: { thickness: 2, majorAxis: 150, minorAxis: 50 },
+        thinFilm: { shape: 'rectangular', thickness: 2, width: 1000, length: 1000, diameter: 1000 },
+        nanowire: { crossSection: 'circular', length: 1000, diameter: 50, threshold: 0.01 },
+        voxel: { shape: 'stadium', width: 100, length: 50, thickness: 2, cornerRadius: 10, resolution: 32, layers: 1 },
+        polygon: { sides: 3, sideLength: 100, thickness: 2 }
     }
 };
 
+// Display names for each geometry id
+export const GEOMETRY_NAMES = {
+    'cylinder': 'Circular Cylinder',
+    'prism': 'Rectangular Prism',
+    'sphere': 'Sphere',
+    'thin-film': 'Thin Film',
+    'infinite-rod': 'Infinite Rod',
+    'ellipsoid': 'Ellipsoid',
+    'ring': 'Ring (Hollow Cylinder)',
+    'elliptic-cylinder': 'Elliptical Cylinder',
+    'nanowire': 'Nanowire',
+    'voxel': 'Custom Shape (Voxels)',
+    'polygon': 'Polygonal Prism'
+};
+
 // Field restrictions for positive values only
 export const POSITIVE_ONLY_FIELDS = [
-    'ms-value', 'exchange-value', 'temperature-value', 'thermal-stability',
+    'ms-value', 'exchange-value', 'temperature-value', 'thermal-stability', 'attempt-frequency',
+    'curie-temperature', 'kuzmin-s', 'coupling-spacing',
     'cylinder-thickness', 'cylinder-diameter', 
     'prism-a', 'prism-b', 'prism-c',
-    'sphere-diameter', 'thin-film-thickness'
+    'sphere-diameter', 'thin-film-thickness',
+    'thin-film-width', 'thin-film-length', 'thin-film-diameter',
+    'ellipsoid-a', 'ellipsoid-b', 'ellipsoid-c',
+    'ring-thickness', 'ring-outer-diameter',
+    'elliptic-cylinder-thickness', 'elliptic-cylinder-major', 'elliptic-cylinder-minor',
+    'nanowire-length', 'nanowire-diameter', 'nanowire-threshold',
+    'voxel-width', 'voxel-length', 'voxel-thickness', 'voxel-corner-radius', 'voxel-resolution', 'voxel-layers',
+    'polygon-sides', 'polygon-side-length', 'polygon-thickness'
 ];
 
 // Export all configurations
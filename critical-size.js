@@ -0,0 +1,181 @@
+// Critical-dimension solver for cylinders and prisms (no DOM access)
+// Finds the sizes where K_eff crosses zero (perpendicular/in-plane transition)
+// and the size windows that reach a target thermal stability Δ
+
+import { cylinder_factors, demag_factors } from './math-utils.js';
+import { analyzeAnisotropy, preferredOrientation, interfaceUniaxialAnisotropy } from './demag-core.js';
+
+// Search range for every solved dimension [nm] and scan density
+const SEARCH_MIN = 0.1;
+const SEARCH_MAX = 1e5;
+const SCAN_POINTS_PER_DECADE = 40;
+
+// Solvable dimensions per geometry: label, and how a trial size replaces the current dimensions
+const SOLVER_DIMENSIONS = {
+    'cylinder': [
+        { name: 'thickness', label: 'Thickness', apply: (dims, x) => ({ ...dims, thickness: x }) },
+        { name: 'diameter', label: 'Diameter', apply: (dims, x) => ({ ...dims, diameter: x }) }
+    ],
+    'prism': [
+        { name: 'c', label: 'Thickness c', apply: (dims, x) => ({ ...dims, c: x }) },
+        // Lateral size scales a and b together, keeping the in-plane aspect ratio
+        { name: 'a', label: 'Length a (b/a fixed)', apply: (dims, x) => ({ ...dims, a: x, b: x * dims.b / dims.a }) }
+    ]
+};
+
+export const CRITICAL_SIZE_GEOMETRIES = Object.keys(SOLVER_DIMENSIONS);
+
+// Factors, volume [m³] and anisotropy factor list for one trial size
+function shapeModel(geometry, dims) {
+    if (geometry === 'cylinder') {
+        const { thickness, diameter } = dims;
+        const N = cylinder_factors(thickness, diameter);
+        const [N_x, , N_z] = N;
+        return {
+            N,
+            volume: Math.PI * (diameter * 1e-9 / 2) ** 2 * (thickness * 1e-9),
+            factors: [{ name: 'x,y', value: N_x }, { name: 'z', value: N_z }]
+        };
+    }
+
+    const { a, b, c } = dims;
+    const N = demag_factors(a, b, c);
+    const [N_x, N_y, N_z] = N;
+    return {
+        N,
+        volume: (a * 1e-9) * (b * 1e-9) * (c * 1e-9),
+        factors: [{ name: 'x', value: N_x }, { name: 'y', value: N_y }, { name: 'z', value: N_z }]
+    };
+}
+
+// K_eff, Δ and orientation for one trial size; null outside the valid dimension range
+// Under the interface model Ku = Kv + Ks/t follows the trial thickness
+function evaluate(geometry, dims, { Ms, Ku, T, easyAxisInPlane, interfaceAnisotropy }) {
+    try {
+        const { N, volume, factors } = shapeModel(geometry, dims);
+        const K_u = interfaceAnisotropy ? interfaceUniaxialAnisotropy(geometry, dims, interfaceAnisotropy).Ku : Ku;
+        const { K_eff, delta } = analyzeAnisotropy(factors, Ms, K_u, volume, T, easyAxisInPlane);
+        return { K_eff, delta, orientation: preferredOrientation(K_eff, N, easyAxisInPlane) };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Bisect on a logarithmic scale between sizes where f has opposite signs
+function bisectLog(f, lo, hi, fLo) {
+    for (let i = 0; i < 60 && hi / lo - 1 > 1e-9; i++) {
+        const mid = Math.sqrt(lo * hi);
+        const fMid = f(mid);
+        if (fMid === null) break;
+        if ((fMid > 0) === (fLo > 0)) {
+            lo = mid;
+            fLo = fMid;
+        } else {
+            hi = mid;
+        }
+    }
+    return Math.sqrt(lo * hi);
+}
+
+// Sign changes of f over the search range, refined by bisection: [{value, rising, below, above}]
+// below/above are the bracketing scan points
+function findRoots(f) {
+    const points = Math.round(Math.log10(SEARCH_MAX / SEARCH_MIN) * SCAN_POINTS_PER_DECADE);
+    const roots = [];
+    let previous = null;
+
+    for (let i = 0; i <= points; i++) {
+        const x = SEARCH_MIN * Math.pow(SEARCH_MAX / SEARCH_MIN, i / points);
+        const value = f(x);
+        if (value === null) {
+            previous = null;
+            continue;
+        }
+        if (previous && (value > 0) !== (previous.value > 0)) {
+            roots.push({ value: bisectLog(f, previous.x, x, previous.value), rising: value > 0, below: previous.x, above: x });
+        }
+        previous = { x, value };
+    }
+    return roots;
+}
+
+// Solve one dimension: K_eff = 0 crossings and the windows where Δ ≥ target
+function solveDimension(geometry, dims, material, deltaTarget, { name, label, apply }) {
+    const at = (x) => evaluate(geometry, apply(dims, x), material);
+    const K_eff = (x) => { const r = at(x); return r && r.K_eff; };
+    const margin = (x) => { const r = at(x); return r && r.delta - deltaTarget; };
+
+    const transitions = findRoots(K_eff).map(({ value, below, above }) => ({
+        value,
+        from: at(below).orientation,
+        to: at(above).orientation
+    }));
+
+    // Pair upward and downward Δ crossings into windows; open ends run to the search limits
+    const stableRanges = [];
+    let start = margin(SEARCH_MIN) >= 0 ? SEARCH_MIN : null;
+    for (const { value, rising } of findRoots(margin)) {
+        if (rising) {
+            start = value;
+        } else if (start !== null) {
+            stableRanges.push({ from: start, to: value });
+            start = null;
+        }
+    }
+    if (start !== null) {
+        stableRanges.push({ from: start, to: Infinity });
+    }
+    stableRanges.forEach(range => {
+        const mid = isFinite(range.to) ? Math.sqrt(range.from * range.to) : range.from * 2;
+        range.direction = at(mid).orientation;
+    });
+
+    return {
+        name,
+        label,
+        unit: 'nm',
+        current: dims[name],
+        transitions,
+        stableRanges,
+        minStableSize: stableRanges.length > 0 ? stableRanges[0].from : null
+    };
+}
+
+/**
+ * Critical dimensions of a cylinder or prism with the other dimensions and the material held fixed
+ * @param {Object} params
+ * @param {string} params.geometry - 'cylinder' or 'prism'
+ * @param {Object} params.dims - Current dimensions in nm ({thickness, diameter} or {a, b, c})
+ * @param {number} params.Ms - Saturation magnetization [A/m]
+ * @param {number} params.Ku - Uniaxial anisotropy [J/m³]
+ * @param {number} params.T - Temperature [K]
+ * @param {boolean} params.easyAxisInPlane - Crystalline easy axis in-plane (default false)
+ * @param {number} params.deltaTarget - Target thermal stability Δ (default 60)
+ * @param {Object} params.interfaceAnisotropy - Optional {Kv [J/m³], Ks [J/m²]} at T: Ku = Kv + Ks/t at each trial size
+ * @returns {{geometry: string, deltaTarget: number, dimensions: Array<Object>}} Per solved dimension:
+ *   transitions [{value, from, to}] where K_eff = 0, stableRanges [{from, to, direction}] where Δ ≥ target
+ *   (to = Infinity when open beyond 100 µm) and minStableSize (null if the target is never reached)
+ */
+export function solveCriticalDimensions({
+    geometry, dims, Ms, Ku, T, easyAxisInPlane = false, deltaTarget = 60, interfaceAnisotropy = null
+}) {
+    const solvers = SOLVER_DIMENSIONS[geometry];
+    if (!solvers) {
+        throw new Error(`Critical dimensions are available for ${CRITICAL_SIZE_GEOMETRIES.join(' and ')} only`);
+    }
+    if (!(deltaTarget > 0)) {
+        throw new Error("Target thermal stability must be positive");
+    }
+
+    const material = { Ms, Ku, T, easyAxisInPlane, interfaceAnisotropy };
+    return {
+        geometry,
+        deltaTarget,
+        dimensions: solvers.map(solver => solveDimension(geometry, dims, material, deltaTarget, solver))
+    };
+}
+
+export default {
+    CRITICAL_SIZE_GEOMETRIES,
+    solveCriticalDimensions
+};
@@ -0,0 +1,280 @@
+// Magnetocrystalline anisotropy beyond a uniaxial axis along z or in-plane: a uniaxial axis at any polar/azimuthal
+// angle plus cubic K1, K2, combined with the shape energy into one energy surface over the magnetization direction
+// (no DOM access). The global minimum is the easy direction; the lowest saddle out of its basin gives the barrier
+
+import { PHYSICS_CONSTANTS } from './config.js';
+
+// Film normal (z) of the cubic crystal; x and y are in-plane directions of the crystal (see CUBIC_FRAMES)
+export const CUBIC_ORIENTATIONS = ['001', '110', '111'];
+
+// Lab x, y, z expressed in cube-axis coordinates, before the in-plane rotation
+const CUBIC_FRAMES = {
+    '001': [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    // x ∥ [1-10], y ∥ [001], z ∥ [110]
+    '110': [[1 / Math.SQRT2, -1 / Math.SQRT2, 0], [0, 0, 1], [1 / Math.SQRT2, 1 / Math.SQRT2, 0]],
+    // x ∥ [1-10], y ∥ [11-2], z ∥ [111]
+    '111': [
+        [1 / Math.SQRT2, -1 / Math.SQRT2, 0],
+        [1 / Math.sqrt(6), 1 / Math.sqrt(6), -2 / Math.sqrt(6)],
+        [1 / Math.sqrt(3), 1 / Math.sqrt(3), 1 / Math.sqrt(3)]
+    ]
+};
+
+// Polar grid for the global search: cells of 180°/THETA_STEPS, centred so that no node sits on a pole
+const THETA_STEPS = 90;
+const PHI_STEPS = 180;
+
+// Directions closer than this to the normal or the plane are reported as out-of-plane or in-plane [degrees]
+const ORIENTATION_TOLERANCE = 1;
+
+const DEG = Math.PI / 180;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const normalize = (v) => { const n = Math.hypot(...v); return v.map(x => x / n); };
+const fromAngles = (theta, phi) => [Math.sin(theta) * Math.cos(phi), Math.sin(theta) * Math.sin(phi), Math.cos(theta)];
+
+// Polar and azimuthal angle of a unit vector [degrees, φ in [0, 360)]
+function toAngles([x, y, z]) {
+    const theta = Math.acos(Math.max(-1, Math.min(1, z))) / DEG;
+    // φ is undefined at the poles
+    const phi = Math.hypot(x, y) < 1e-9 ? 0 : (Math.atan2(y, x) / DEG + 360) % 360;
+    return { theta, phi: Math.abs(phi - 360) < 1e-9 ? 0 : phi };
+}
+
+/**
+ * Lab-frame cube axes [100], [010], [001] for a film orientation and an in-plane rotation
+ * @param {string} orientation - Film normal, one of CUBIC_ORIENTATIONS
+ * @param {number} angle - Rotation of the crystal about z [degrees]
+ * @returns {Array<Array<number>>} Three unit vectors in lab coordinates
+ */
+export function cubicAxes(orientation, angle = 0) {
+    const frame = CUBIC_FRAMES[orientation];
+    if (!frame) {
+        throw new Error(`Unknown cubic orientation '${orientation}' (expected one of: ${CUBIC_ORIENTATIONS.join(', ')})`);
+    }
+    const [c, s] = [Math.cos(angle * DEG), Math.sin(angle * DEG)];
+    // Column k of the frame is cube axis k in the unrotated lab frame; then rotate about z
+    return [0, 1, 2].map(k => {
+        const [x, y, z] = frame.map(row => row[k]);
+        return [c * x - s * y, s * x + c * y, z];
+    });
+}
+
+/**
+ * Energy density of the magnetization direction m [J/m³]
+ * E = ½μ0Ms²·m·N·m − Ku(m·u)² + K1(α1²α2² + α2²α3² + α3²α1²) + K2·α1²α2²α3², α = direction cosines to the cube axes
+ * @param {Object} model - {N (3×3), Ms, Ku, axis (unit vector u), K1, K2, cubic (cube axes, see cubicAxes)}
+ * @returns {Function} m -> energy density
+ */
+export function energyDensity({ N, Ms, Ku, axis, K1, K2, cubic }) {
+    const shape = 0.5 * PHYSICS_CONSTANTS.MU0 * Ms * Ms;
+    return (m) => {
+        const Nm = N.map(row => dot(row, m));
+        const [a1, a2, a3] = cubic.map(c => dot(c, m) ** 2);
+        return shape * dot(m, Nm) - Ku * dot(m, axis) ** 2 + K1 * (a1 * a2 + a2 * a3 + a3 * a1) + K2 * a1 * a2 * a3;
+    };
+}
+
+// Orthonormal tangent vectors at m
+function tangentBasis(m) {
+    const helper = Math.abs(m[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+    const e1 = normalize([helper[1] * m[2] - helper[2] * m[1], helper[2] * m[0] - helper[0] * m[2], helper[0] * m[1] - helper[1] * m[0]]);
+    const e2 = [m[1] * e1[2] - m[2] * e1[1], m[2] * e1[0] - m[0] * e1[2], m[0] * e1[1] - m[1] * e1[0]];
+    return [e1, e2];
+}
+
+// Gradient and Hessian of the energy in the tangent plane at m, by central differences
+function localDerivatives(energy, m) {
+    const [e1, e2] = tangentBasis(m);
+    const h = 1e-4;
+    const at = (a, b) => energy(normalize(m.map((x, i) => x + a * e1[i] + b * e2[i])));
+    const e0 = energy(m);
+    const [ap, am, bp, bm] = [at(h, 0), at(-h, 0), at(0, h), at(0, -h)];
+    const cross = (at(h, h) - at(h, -h) - at(-h, h) + at(-h, -h)) / (4 * h * h);
+    return {
+        e1,
+        e2,
+        gradient: [(ap - am) / (2 * h), (bp - bm) / (2 * h)],
+        hessian: [[(ap - 2 * e0 + am) / (h * h), cross], [cross, (bp - 2 * e0 + bm) / (h * h)]]
+    };
+}
+
+// Eigenvalues of a symmetric 2×2 matrix, ascending
+function eigenvalues2([[a, b], [, d]]) {
+    const mean = (a + d) / 2, radius = Math.hypot((a - d) / 2, b);
+    return [mean - radius, mean + radius];
+}
+
+// Newton iteration to the stationary point (minimum or saddle) near m; steps are capped at `maxStep` rad
+function refineStationary(energy, m, maxStep) {
+    for (let i = 0; i < 50; i++) {
+        const { e1, e2, gradient: [g1, g2], hessian: [[h11, h12], [, h22]] } = localDerivatives(energy, m);
+        const det = h11 * h22 - h12 * h12;
+        if (det === 0) break;
+        let d1 = -(h22 * g1 - h12 * g2) / det;
+        let d2 = -(h11 * g2 - h12 * g1) / det;
+        const length = Math.hypot(d1, d2);
+        if (length > maxStep) {
+            [d1, d2] = [d1 * maxStep / length, d2 * maxStep / length];
+        }
+        m = normalize(m.map((x, k) => x + d1 * e1[k] + d2 * e2[k]));
+        if (length < 1e-10) break;
+    }
+    return m;
+}
+
+// Out-of-plane, in-plane or tilted, from the polar angle
+function orientationLabel(theta) {
+    if (theta < ORIENTATION_TOLERANCE || theta > 180 - ORIENTATION_TOLERANCE) return 'Out-of-plane';
+    if (Math.abs(theta - 90) < ORIENTATION_TOLERANCE) return 'In-plane';
+    return 'Tilted';
+}
+
+/**
+ * Easy direction and energy barrier of the combined shape and crystal anisotropy
+ * The sphere of directions is flooded from the lowest energy up: the energy at which the basin of the global
+ * minimum first joins another basin is the saddle, and saddle − minimum is the barrier for leaving the easy direction
+ * @param {Object} params
+ * @param {Array<Array<number>>} params.N - Magnetometric demagnetization tensor (3×3)
+ * @param {number} params.Ms - Saturation magnetization [A/m]
+ * @param {number} params.Ku - Uniaxial anisotropy [J/m³] along params.axis
+ * @param {Array<number>} params.axis - Uniaxial easy axis [polar θ from z, azimuth φ from x] in degrees
+ * @param {number} params.K1 - First cubic constant [J/m³]
+ * @param {number} params.K2 - Second cubic constant [J/m³]
+ * @param {string} params.cubicOrientation - Film normal, one of CUBIC_ORIENTATIONS
+ * @param {number} params.cubicAngle - In-plane rotation of the crystal [degrees]
+ * @returns {{easyDirection: Array<number>, theta: number, phi: number, direction: string, minimum: number,
+ *   saddle: Object|null, barrier: number, H_K: number, equivalentMinima: number|null, energyRange: number}}
+ *   direction is 'Out-of-plane', 'In-plane' or 'Tilted'; angles in degrees, energies in J/m³, H_K [A/m] from the smallest curvature at the minimum (2K/μ0Ms for uniaxial K);
+ *   saddle is {direction, theta, phi, energy}; saddle and equivalentMinima are null for a continuous valley of minima
+ */
+export function energySurface({ N, Ms, Ku, axis = [0, 0], K1 = 0, K2 = 0, cubicOrientation = '001', cubicAngle = 0 }) {
+    if ([Ku, K1, K2, ...axis, cubicAngle].some(value => typeof value !== 'number' || !isFinite(value))) {
+        throw new Error("Ku, K1, K2 and the anisotropy angles must be finite numbers");
+    }
+
+    const energy = energyDensity({
+        N, Ms, Ku, K1, K2,
+        axis: fromAngles(axis[0] * DEG, axis[1] * DEG),
+        cubic: cubicAxes(cubicOrientation, cubicAngle)
+    });
+
+    // Energies on the grid, node index i·PHI_STEPS + j for θ_i = (i + ½)·Δθ, φ_j = j·Δφ
+    const count = THETA_STEPS * PHI_STEPS;
+    const values = new Float64Array(count);
+    for (let i = 0; i < THETA_STEPS; i++) {
+        for (let j = 0; j < PHI_STEPS; j++) {
+            values[i * PHI_STEPS + j] = energy(fromAngles((i + 0.5) * Math.PI / THETA_STEPS, j * 2 * Math.PI / PHI_STEPS));
+        }
+    }
+
+    // Neighbours on the sphere: φ wraps around, and the first and last rings connect across the poles
+    const neighbours = (node) => {
+        const i = Math.floor(node / PHI_STEPS), j = node % PHI_STEPS;
+        const result = [];
+        for (const di of [-1, 0, 1]) {
+            for (const dj of [-1, 0, 1]) {
+                if (di === 0 && dj === 0) continue;
+                let [ni, nj] = [i + di, (j + dj + PHI_STEPS) % PHI_STEPS];
+                if (ni < 0 || ni >= THETA_STEPS) {
+                    [ni, nj] = [i, (nj + PHI_STEPS / 2) % PHI_STEPS];
+                }
+                result.push(ni * PHI_STEPS + nj);
+            }
+        }
+        return result;
+    };
+
+    // Flooding with union-find; each component remembers its lowest node
+    const order = Array.from({ length: count }, (_, node) => node).sort((a, b) => values[a] - values[b]);
+    const parent = new Int32Array(count).fill(-1);
+    const lowest = new Int32Array(count);
+    const find = (node) => {
+        while (parent[node] !== node) {
+            parent[node] = parent[parent[node]];
+            node = parent[node];
+        }
+        return node;
+    };
+
+    // Basins shallower than this are round-off (e.g. equal energies around a pole) and merge without a saddle
+    const globalNode = order[0];
+    const energyRange = values[order[count - 1]] - values[globalNode];
+    const tolerance = 1e-6 * Math.max(energyRange, 1);
+    let saddleNode = -1;
+    for (const node of order) {
+        parent[node] = node;
+        lowest[node] = node;
+        // The first flooded neighbour only extends its basin to this node; any further basin meets it here
+        let attached = false;
+        for (const other of neighbours(node)) {
+            if (parent[other] === -1) continue;
+            const [a, b] = [find(node), find(other)];
+            if (a === b) continue;
+            const depth = values[node] - Math.max(values[lowest[a]], values[lowest[b]]);
+            if (attached && depth > tolerance && [a, b].includes(find(globalNode))) {
+                saddleNode = node;
+                break;
+            }
+            const [keep, drop] = values[lowest[a]] <= values[lowest[b]] ? [a, b] : [b, a];
+            parent[drop] = keep;
+            attached = true;
+        }
+        if (saddleNode >= 0) break;
+    }
+
+    const gridDirection = (node) => fromAngles((Math.floor(node / PHI_STEPS) + 0.5) * Math.PI / THETA_STEPS,
+        (node % PHI_STEPS) * 2 * Math.PI / PHI_STEPS);
+    const gridStep = Math.PI / THETA_STEPS;
+
+    const easyDirection = refineStationary(energy, gridDirection(globalNode), gridStep);
+    const minimum = Math.min(energy(easyDirection), values[globalNode]);
+
+    // Keep the refined saddle only if Newton stayed near the grid saddle. A refined barrier within the tolerance
+    // means the grid, whose nodes miss the plane θ = 90°, split a valley that is flat along the plane or cone
+    let saddle = null;
+    if (saddleNode >= 0) {
+        const start = gridDirection(saddleNode);
+        const refined = refineStationary(energy, start, gridStep / 2);
+        const direction = Math.acos(Math.min(1, dot(refined, start))) < 2 * gridStep ? refined : start;
+        if (energy(direction) - minimum > tolerance) {
+            saddle = { direction, ...toAngles(direction), energy: energy(direction) };
+        }
+    }
+    const barrier = saddle ? Math.max(0, saddle.energy - minimum) : 0;
+
+    // Distinct minima as deep as the global one, refined from the lowest grid nodes; none without a saddle,
+    // where the minimum is a continuous valley (an easy plane or cone)
+    const minima = [];
+    for (let node = 0; saddle && node < count; node++) {
+        if (values[node] - values[globalNode] > 0.01 * energyRange) continue;
+        if (!neighbours(node).every(other => values[other] >= values[node])) continue;
+        const direction = refineStationary(energy, gridDirection(node), gridStep);
+        if (energy(direction) - minimum <= tolerance && minima.every(other => dot(other, direction) < Math.cos(DEG))) {
+            minima.push(direction);
+        }
+    }
+
+    const { e1, hessian } = localDerivatives(energy, easyDirection);
+    const curvature = e1 ? Math.max(0, eigenvalues2(hessian)[0]) : 0;
+    const angles = toAngles(easyDirection);
+
+    return {
+        easyDirection,
+        ...angles,
+        direction: orientationLabel(angles.theta),
+        minimum,
+        saddle,
+        barrier,
+        H_K: curvature / (PHYSICS_CONSTANTS.MU0 * Ms),
+        equivalentMinima: saddle ? minima.length : null,
+        energyRange
+    };
+}
+
+export default {
+    CUBIC_ORIENTATIONS,
+    cubicAxes,
+    energyDensity,
+    energySurface
+};
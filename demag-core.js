@@ -0,0 +1,633 @@
+// Headless calculation core: pure functions, no DOM access
+// Usable from the browser UI, Node scripts and notebooks alike
+
+import { PHYSICS_CONSTANTS } from './config.js';
+import { scaleCubicAnisotropy, scaleMaterial } from './temperature-scaling.js';
+import { energySurface } from './crystal-anisotropy.js';
+import { voxelDimensionNames, voxelizeShape } from './voxel-shape.js';
+import {
+    memoizedDemagFactors,
+    memoizedCylinderFactors,
+    memoizedRingFactors,
+    memoizedEllipticCylinderFactors,
+    memoizedPolygonPrismFactors,
+    memoizedNSphere,
+    memoizedNEllipsoid,
+    memoizedNThinFilm,
+    memoizedNInfiniteRod,
+    memoizedNanowireFactors,
+    memoizedNanowireLengthForNz,
+    memoizedVoxelTensor,
+    euler_rotation,
+    rotate_factors,
+    symmetric_eigen
+} from './math-utils.js';
+
+// Supported geometry identifiers (same ids as the UI panels)
+export const GEOMETRIES = [
+    'prism', 'cylinder', 'sphere', 'thin-film', 'infinite-rod',
+    'ellipsoid', 'ring', 'elliptic-cylinder', 'nanowire', 'voxel', 'polygon'
+];
+
+// Dimension names per geometry (nm, except the shape selectors, nanowire threshold, prism Euler angles in degrees,
+// voxel cell counts, the voxel mask text and the polygon side count)
+export const GEOMETRY_DIMENSIONS = {
+    'prism': ['a', 'b', 'c', 'eulerAlpha', 'eulerBeta', 'eulerGamma'],
+    'cylinder': ['thickness', 'diameter'],
+    'sphere': ['diameter'],
+    'thin-film': ['shape', 'thickness', 'width', 'length', 'diameter'],
+    'infinite-rod': [],
+    'ellipsoid': ['a', 'b', 'c'],
+    'ring': ['thickness', 'outerDiameter', 'innerDiameter'],
+    'elliptic-cylinder': ['thickness', 'majorAxis', 'minorAxis'],
+    'nanowire': ['crossSection', 'length', 'diameter', 'threshold'],
+    'voxel': ['shape', 'width', 'length', 'thickness', 'cornerRadius', 'resolution', 'layers', 'mask'],
+    'polygon': ['sides', 'sideLength', 'thickness']
+};
+
+/**
+ * Dimension names a geometry reads for its chosen shape: a thin film uses width and length or a diameter,
+ * a custom shape only the inputs of its outline (the rest are ignored)
+ * @param {string} geometry - Geometry id
+ * @param {Object} dims - Dimensions, of which only the shape is read
+ * @returns {Array<string>}
+ */
+export function shapeDimensionNames(geometry, dims = {}) {
+    if (geometry === 'thin-film') {
+        return ['shape', 'thickness', ...(dims.shape === 'circular' ? ['diameter'] : ['width', 'length'])];
+    }
+    if (geometry === 'voxel') {
+        return voxelDimensionNames(dims.shape);
+    }
+    return GEOMETRY_DIMENSIONS[geometry] || [];
+}
+
+// Film thickness dimension per geometry, used for the interface anisotropy Ku = Kv + Ks/t
+export const THICKNESS_DIMENSIONS = {
+    'prism': 'c',
+    'cylinder': 'thickness',
+    'thin-film': 'thickness',
+    'ring': 'thickness',
+    'elliptic-cylinder': 'thickness',
+    'polygon': 'thickness',
+    'voxel': 'thickness'
+};
+
+// Check that every listed dimension is a number and positive
+function requirePositive(dims, names, message) {
+    if (names.some(name => typeof dims[name] !== 'number' || isNaN(dims[name]))) {
+        throw new Error(`Please enter valid numeric values for ${message}`);
+    }
+
+    if (names.some(name => dims[name] <= 0)) {
+        throw new Error(`${message.charAt(0).toUpperCase() + message.slice(1)} must be positive values`);
+    }
+}
+
+// Per-geometry setup: validate dimensions, compute volume [m³] and factors.
+// Axisymmetric shapes are analysed with a single 'x,y' in-plane factor.
+const GEOMETRY_MODELS = {
+    prism(dims, convention) {
+        const { a, b, c, eulerAlpha = 0, eulerBeta = 0, eulerGamma = 0 } = dims;
+        requirePositive(dims, ['a', 'b', 'c'], 'all dimensions');
+
+        const euler = [eulerAlpha, eulerBeta, eulerGamma];
+        if (euler.some(angle => typeof angle !== 'number' || !isFinite(angle))) {
+            throw new Error("Euler angles must be finite numbers");
+        }
+
+        // N stays in the body frame (a, b, c); a rotated prism also reports its lab-frame tensor
+        const N = memoizedDemagFactors(a, b, c);
+        let tensor = null;
+        if (euler.some(angle => angle % 360 !== 0)) {
+            const matrix = rotate_factors(N, euler_rotation(...euler));
+            const { values, vectors } = symmetric_eigen(matrix);
+            tensor = { euler, matrix, eigenvalues: values, eigenvectors: vectors };
+        }
+
+        return {
+            volume: (a * 1e-9) * (b * 1e-9) * (c * 1e-9),
+            N,
+            displayFactors: convention === 'fluxmetric' ? memoizedDemagFactors(a, b, c, 'fluxmetric') : null,
+            tensor
+        };
+    },
+
+    cylinder(dims, convention) {
+        const { thickness, diameter } = dims;
+        requirePositive(dims, ['thickness', 'diameter'], 'thickness and diameter');
+
+        return {
+            volume: Math.PI * (diameter * 1e-9 / 2) ** 2 * (thickness * 1e-9),
+            N: memoizedCylinderFactors(thickness, diameter),
+            displayFactors: convention === 'fluxmetric' ? memoizedCylinderFactors(thickness, diameter, 'fluxmetric') : null,
+            axisymmetric: true
+        };
+    },
+
+    sphere(dims) {
+        const { diameter } = dims;
+        requirePositive(dims, ['diameter'], 'diameter');
+
+        return {
+            volume: (4/3) * Math.PI * (diameter * 1e-9 / 2) ** 3,
+            N: memoizedNSphere(diameter),
+            isotropic: true
+        };
+    },
+
+    ellipsoid(dims) {
+        const { a, b, c } = dims;
+        requirePositive(dims, ['a', 'b', 'c'], 'all semi-axes');
+
+        // a, b, c are semi-axes
+        return {
+            volume: (4/3) * Math.PI * (a * 1e-9) * (b * 1e-9) * (c * 1e-9),
+            N: memoizedNEllipsoid(a, b, c)
+        };
+    },
+
+    ring(dims) {
+        const { thickness, outerDiameter, innerDiameter } = dims;
+        requirePositive(dims, ['thickness', 'outerDiameter'], 'thickness and outer diameter');
+
+        if (typeof innerDiameter !== 'number' || isNaN(innerDiameter) || innerDiameter < 0) {
+            throw new Error("Inner diameter must be a non-negative number");
+        }
+
+        if (innerDiameter >= outerDiameter) {
+            throw new Error("Inner diameter must be smaller than outer diameter");
+        }
+
+        const outerRadius = outerDiameter * 1e-9 / 2;
+        const innerRadius = innerDiameter * 1e-9 / 2;
+
+        return {
+            volume: Math.PI * (outerRadius ** 2 - innerRadius ** 2) * (thickness * 1e-9),
+            N: memoizedRingFactors(thickness, outerDiameter, innerDiameter),
+            axisymmetric: true
+        };
+    },
+
+    'elliptic-cylinder'(dims, convention, Ms, T) {
+        const { thickness, majorAxis, minorAxis } = dims;
+        requirePositive(dims, ['thickness', 'majorAxis', 'minorAxis'], 'thickness and axes');
+
+        if (minorAxis > majorAxis) {
+            throw new Error("Minor axis cannot exceed major axis");
+        }
+
+        const volume = Math.PI * (majorAxis * 1e-9 / 2) * (minorAxis * 1e-9 / 2) * (thickness * 1e-9);
+        const N = memoizedEllipticCylinderFactors(thickness, majorAxis, minorAxis);
+
+        // In-plane shape anisotropy between the major (x) and minor (y) axes
+        const K_inplane = 0.5 * PHYSICS_CONSTANTS.MU0 * Ms * Ms * (N[1] - N[0]);
+
+        return {
+            volume,
+            N,
+            inPlaneAnisotropy: {
+                K_inplane,
+                H_k: Ms * (N[1] - N[0]),
+                delta_inplane: K_inplane * volume / (PHYSICS_CONSTANTS.KB * T)
+            }
+        };
+    },
+
+    polygon(dims) {
+        const { sides, sideLength, thickness } = dims;
+        requirePositive(dims, ['sideLength', 'thickness'], 'side length and thickness');
+
+        // Also checks the number of sides; the in-plane factors are equal for any N ≥ 3
+        const N = memoizedPolygonPrismFactors(sides, sideLength, thickness);
+        // Regular polygon area N·s²/(4·tan(π/N))
+        const area = sides * (sideLength * 1e-9) ** 2 / (4 * Math.tan(Math.PI / sides));
+
+        return {
+            volume: area * (thickness * 1e-9),
+            N,
+            axisymmetric: true
+        };
+    },
+
+    'thin-film'(dims, convention) {
+        const { shape = 'rectangular', thickness, width, length, diameter } = dims;
+        const circular = shape === 'circular';
+        if (shape !== 'rectangular' && !circular) {
+            throw new Error(`Unknown thin film shape '${shape}' (expected rectangular or circular)`);
+        }
+        requirePositive(dims, circular ? ['thickness', 'diameter'] : ['thickness', 'width', 'length'],
+            'thickness and lateral dimensions');
+
+        // x along length, y along width, z through thickness
+        const factorsFor = (conv) => circular
+            ? memoizedNThinFilm(thickness, diameter, diameter, 'circular', conv)
+            : memoizedNThinFilm(thickness, width, length, 'rectangular', conv);
+
+        return {
+            volume: circular
+                ? Math.PI * (diameter * 1e-9 / 2) ** 2 * (thickness * 1e-9)
+                : (length * 1e-9) * (width * 1e-9) * (thickness * 1e-9),
+            N: factorsFor('magnetometric'),
+            displayFactors: convention === 'fluxmetric' ? factorsFor('fluxmetric') : null,
+            idealLimit: { name: 'Infinite thin film', factors: [0, 0, 1] }
+        };
+    },
+
+    nanowire(dims, convention) {
+        const { crossSection = 'circular', length, diameter, threshold = 0.01 } = dims;
+        if (crossSection !== 'circular' && crossSection !== 'square') {
+            throw new Error(`Unknown nanowire cross-section '${crossSection}' (expected circular or square)`);
+        }
+        requirePositive(dims, ['length', 'diameter'], 'length and diameter');
+
+        if (typeof threshold !== 'number' || !(threshold > 0 && threshold < 1)) {
+            throw new Error("Convergence threshold must be between 0 and 1");
+        }
+
+        const area = crossSection === 'square' ? (diameter * 1e-9) ** 2 : Math.PI * (diameter * 1e-9 / 2) ** 2;
+        const N = memoizedNanowireFactors(length, diameter, crossSection);
+
+        return {
+            volume: area * (length * 1e-9),
+            N,
+            displayFactors: convention === 'fluxmetric' ? memoizedNanowireFactors(length, diameter, crossSection, 'fluxmetric') : null,
+            idealLimit: { name: 'Infinite rod', factors: [0.5, 0.5, 0] },
+            // Length needed for N_z to fall below the chosen threshold
+            convergence: {
+                threshold,
+                requiredLength: memoizedNanowireLengthForNz(diameter, threshold, crossSection),
+                diameter,
+                length,
+                N_z: N[2]
+            }
+        };
+    },
+
+    voxel(dims) {
+        const { grid, cells, cellSize, filled } = voxelizeShape(dims);
+        const matrix = memoizedVoxelTensor(cells, grid, cellSize);
+        const { values, vectors } = symmetric_eigen(matrix);
+
+        // Energies use the grid axes (the diagonal); the principal axes are reported with the full tensor
+        return {
+            volume: filled * cellSize.reduce((product, size) => product * size * 1e-9, 1),
+            N: [matrix[0][0], matrix[1][1], matrix[2][2]],
+            tensor: { euler: null, matrix, eigenvalues: values, eigenvectors: vectors },
+            voxels: { grid, cellSize, filled }
+        };
+    },
+
+    'infinite-rod'() {
+        // Volume is not defined for an infinite rod
+        return {
+            volume: null,
+            N: memoizedNInfiniteRod(1),
+            infiniteRod: true
+        };
+    }
+};
+
+/**
+ * Analyze magnetic anisotropy from demagnetization factors
+ * @param {Array<{name: string, value: number}>} factors - Named demagnetization factors
+ * @param {number} Ms - Saturation magnetization [A/m]
+ * @param {number} Ku - Uniaxial anisotropy [J/m³]
+ * @param {number} V - Volume [m³]
+ * @param {number} T - Temperature [K]
+ * @param {boolean} easyAxisInPlane - Crystalline easy axis in-plane (default out-of-plane)
+ * @returns {Object} Easy/hard axes, K_shape, K_eff, H_c, Δ and classification
+ */
+export function analyzeAnisotropy(factors, Ms, Ku, V, T, easyAxisInPlane = false) {
+    const sortedFactors = [...factors].sort((a, b) => a.value - b.value);
+
+    const easy_axis = sortedFactors[0];
+    const hard_axis = sortedFactors[sortedFactors.length - 1];
+    const N_easy = easy_axis.value;
+    const N_hard = hard_axis.value;
+
+    // Calculate shape anisotropy
+    const K_shape = 0.5 * PHYSICS_CONSTANTS.MU0 * Ms * Ms * (N_hard - N_easy);
+
+    // Determine effective anisotropy based on easy axis direction
+    let K_eff;
+    if (easyAxisInPlane) {
+        // Easy axis in-plane: shape and crystalline anisotropies compete
+        // If shape prefers out-of-plane (z) and crystal prefers in-plane, they oppose
+        K_eff = (easy_axis.name === 'z') ? Ku - K_shape : Ku + K_shape;
+    } else {
+        // Easy axis out-of-plane (default): shape and crystalline anisotropies align/compete normally
+        K_eff = (easy_axis.name === 'z') ? Ku + K_shape : Ku - K_shape;
+    }
+
+    const H_c = (2 * Math.abs(K_eff)) / (PHYSICS_CONSTANTS.MU0 * Ms);
+
+    // Thermal stability
+    const delta = Math.abs(K_eff) * V / (PHYSICS_CONSTANTS.KB * T);
+
+    // Classification
+    let anisotropy_type = "";
+    let anisotropy_color = "";
+    let preferred_direction = "";
+
+    if (Math.abs(K_eff) < 0.01e6) { // Near zero effective anisotropy
+        anisotropy_type = "Isotropic (K_eff ≈ 0)";
+        anisotropy_color = "#6b7280";
+        preferred_direction = "None";
+    } else if (K_eff > 0) {
+        anisotropy_type = "Magnetocrystalline-dominated";
+        anisotropy_color = "#27ae60";
+        preferred_direction = easyAxisInPlane ? "In-plane" : "Out-of-plane";
+    } else {
+        anisotropy_type = "Shape-dominated";
+        anisotropy_color = "#e74c3c";
+        // When K_eff < 0, shape anisotropy wins over crystalline
+        preferred_direction = (easy_axis.name === 'z') ? "Out-of-plane" : "In-plane";
+    }
+
+    return {
+        easy_axis,
+        hard_axis,
+        N_easy,
+        N_hard,
+        K_shape,
+        K_eff,
+        H_c,
+        delta,
+        anisotropy_type,
+        anisotropy_color,
+        preferred_direction,
+        crystallineEasyAxis: easyAxisInPlane ? "In-plane" : "Out-of-plane"
+    };
+}
+
+/**
+ * Thermal design target: pass/fail against a target Δ, the Néel–Arrhenius retention time
+ * τ = e^Δ / f₀, and the volume needed to reach the target at the current shape
+ * (demagnetization factors depend only on aspect ratios, so K_eff is unchanged by uniform scaling)
+ * @param {Object} analysis - {delta, K_eff, T} of a result with a finite volume
+ * @param {number} volume - Current volume [m³]
+ * @param {number} deltaTarget - Target thermal stability Δ
+ * @param {number} attemptFrequency - Attempt frequency f₀ [Hz]
+ * @returns {Object} {deltaTarget, attemptFrequency, passes, retention_time [s], log10_retention_time,
+ *   min_volume [m³] (Infinity if K_eff = 0), scale (linear factor from the current size to min_volume)}
+ */
+export function thermalDesign({ delta, K_eff, T }, volume, deltaTarget, attemptFrequency) {
+    const min_volume = deltaTarget * PHYSICS_CONSTANTS.KB * T / Math.abs(K_eff);
+
+    return {
+        deltaTarget,
+        attemptFrequency,
+        passes: delta >= deltaTarget,
+        // e^Δ overflows past Δ ≈ 709; the logarithm stays finite
+        retention_time: Math.exp(delta) / attemptFrequency,
+        log10_retention_time: delta / Math.LN10 - Math.log10(attemptFrequency),
+        min_volume,
+        scale: Math.cbrt(min_volume / volume)
+    };
+}
+
+/**
+ * Preferred magnetization direction from the sign of K_eff alone, without the 'None' band
+ * that analyzeAnisotropy reports for K_eff ≈ 0 (used to locate K_eff = 0 transitions)
+ * @param {number} K_eff - Effective anisotropy [J/m³]
+ * @param {Array<number>} N - [N_x, N_y, N_z] magnetometric factors
+ * @param {boolean} easyAxisInPlane - Crystalline easy axis in-plane
+ * @returns {string} 'Out-of-plane' or 'In-plane'
+ */
+export function preferredOrientation(K_eff, N, easyAxisInPlane = false) {
+    if (K_eff > 0) return easyAxisInPlane ? "In-plane" : "Out-of-plane";
+    const [N_x, N_y, N_z] = N;
+    return N_z <= Math.min(N_x, N_y) ? "Out-of-plane" : "In-plane";
+}
+
+/**
+ * Preferred magnetization direction of a computeDemag result: the energy-surface minimum when a general
+ * crystal anisotropy is given, otherwise preferredOrientation
+ * @param {Object} result - computeDemag result
+ * @returns {string} 'Out-of-plane', 'In-plane' or (energy surface only) 'Tilted'
+ */
+export function resultOrientation(result) {
+    return result.energySurface
+        ? result.energySurface.direction
+        : preferredOrientation(result.K_eff, result.N, result.easyAxisInPlane);
+}
+
+/**
+ * Anisotropy analysis from the energy surface of shape plus general crystal anisotropy (see energySurface)
+ * K_eff is the barrier out of the easy direction and H_c the anisotropy field from the curvature there
+ * @param {Object} surface - energySurface result
+ * @param {Object} crystalAnisotropy - {axis, K1, K2, cubicOrientation} at T
+ * @param {number} V - Volume [m³]
+ * @param {number} T - Temperature [K]
+ * @returns {Object} Fields of analyzeAnisotropy that the energy surface replaces
+ */
+function analyzeEnergySurface(surface, { axis: [theta, phi], K1, K2, cubicOrientation }, V, T) {
+    const cubic = K1 !== 0 || K2 !== 0 ? ` + cubic (${cubicOrientation})` : '';
+    return {
+        K_eff: surface.barrier,
+        H_c: surface.H_K,
+        delta: surface.barrier * V / (PHYSICS_CONSTANTS.KB * T),
+        anisotropy_type: surface.saddle
+            ? `${surface.equivalentMinima} equivalent easy direction${surface.equivalentMinima === 1 ? '' : 's'} (energy surface)`
+            : "Continuous easy plane or cone (no barrier)",
+        anisotropy_color: surface.saddle ? "#27ae60" : "#6b7280",
+        preferred_direction: surface.direction,
+        crystallineEasyAxis: `Ku axis at θ = ${theta}°, φ = ${phi}°${cubic}`
+    };
+}
+
+/**
+ * Uniaxial anisotropy from volume and interface contributions, Ku = Kv + Ks/t
+ * @param {string} geometry - Geometry id with a film thickness (see THICKNESS_DIMENSIONS)
+ * @param {Object} dims - Geometry dimensions [nm]
+ * @param {Object} interfaceAnisotropy - {Kv [J/m³], Ks [J/m²]}
+ * @returns {{Kv: number, Ks: number, thickness: number, Ku: number}} Thickness in nm, Ku in J/m³
+ */
+export function interfaceUniaxialAnisotropy(geometry, dims, { Kv, Ks }) {
+    const name = THICKNESS_DIMENSIONS[geometry];
+    if (!name) {
+        throw new Error(`Interface anisotropy Ks/t needs a film thickness (available for: ${Object.keys(THICKNESS_DIMENSIONS).join(', ')})`);
+    }
+    if ([Kv, Ks].some(value => typeof value !== 'number' || !isFinite(value))) {
+        throw new Error("Kv and Ks must be finite numbers");
+    }
+
+    const thickness = dims[name];
+    if (typeof thickness !== 'number' || !(thickness > 0)) {
+        throw new Error("Thickness must be a positive value for the interface anisotropy Ks/t");
+    }
+
+    return { Kv, Ks, thickness, Ku: Kv + Ks / (thickness * 1e-9) };
+}
+
+/**
+ * Compute demagnetization factors and magnetic properties for one geometry
+ * @param {Object} params
+ * @param {string} params.geometry - One of GEOMETRIES
+ * @param {Object} params.dims - Geometry dimensions in nm (same names as the UI inputs, e.g. {a, b, c} or {thickness, diameter})
+ * @param {number} params.Ms - Saturation magnetization [A/m]
+ * @param {number} params.Ku - Uniaxial anisotropy [J/m³]
+ * @param {number} params.A - Exchange stiffness [J/m]
+ * @param {number} params.T - Temperature [K]
+ * @param {boolean} params.easyAxisInPlane - Crystalline easy axis in-plane (default false)
+ * @param {string} params.convention - Displayed factor convention, 'magnetometric' (default) or 'fluxmetric'
+ * @param {number} params.deltaTarget - Target thermal stability Δ (default 60)
+ * @param {number} params.attemptFrequency - Néel–Arrhenius attempt frequency f₀ [Hz] (default 1 GHz)
+ * @param {Object} params.temperatureScaling - Optional {curieTemperature, referenceTemperature, law, kuzminS, kuExponent}:
+ *   Ms, Ku and A are then given at referenceTemperature and scaled to T (see scaleMaterial)
+ * @param {Object} params.interfaceAnisotropy - Optional {Kv [J/m³], Ks [J/m²]}: replaces Ku by Kv + Ks/t at the
+ *   geometry's thickness (see interfaceUniaxialAnisotropy) before any temperature scaling
+ * @param {Object} params.crystalAnisotropy - Optional {axis: [θ, φ] of the Ku axis [degrees], K1, K2 [J/m³],
+ *   cubicOrientation, cubicAngle}: the easy direction and barrier then come from the energy surface of shape, uniaxial
+ *   and cubic terms (see energySurface), easyAxisInPlane is ignored, and K1, K2 are temperature-scaled as m^10 and m^21 (see scaleCubicAnisotropy)
+ * @returns {Object} Result echoing the inputs (Ms, Ku, A at T), with N = [N_x, N_y, N_z] (magnetometric), displayFactors (fluxmetric or null),
+ *   volume [m³], easy/hard axes, K_shape, K_eff [J/m³], H_c [A/m], delta (null if undefined),
+ *   thermal (see thermalDesign; null if delta is undefined), exchange_length [m] (null when K_eff = 0), anisotropy_type,
+ *   preferred_direction, crystalAnisotropy and energySurface (null unless given), and geometry-specific extras
+ */
+export function computeDemag({
+    geometry,
+    dims = {},
+    Ms,
+    Ku,
+    A,
+    T,
+    easyAxisInPlane = false,
+    convention = 'magnetometric',
+    deltaTarget = 60,
+    attemptFrequency = 1e9,
+    temperatureScaling = null,
+    interfaceAnisotropy = null,
+    crystalAnisotropy = null
+}) {
+    const model = GEOMETRY_MODELS[geometry];
+    if (!model) {
+        throw new Error(`Unknown geometry '${geometry}' (expected one of: ${GEOMETRIES.join(', ')})`);
+    }
+
+    const interfaceKu = interfaceAnisotropy ? interfaceUniaxialAnisotropy(geometry, dims, interfaceAnisotropy) : null;
+    if (interfaceKu) {
+        Ku = interfaceKu.Ku;
+    }
+
+    if ([Ms, Ku, A, T].some(value => typeof value !== 'number' || !isFinite(value))) {
+        throw new Error("Ms, Ku, A and T must be finite numbers");
+    }
+
+    if (Ms <= 0 || A <= 0 || T <= 0) {
+        throw new Error("Ms, A and T must be positive values");
+    }
+
+    if (!(deltaTarget > 0) || !(attemptFrequency > 0)) {
+        throw new Error("Target thermal stability and attempt frequency must be positive values");
+    }
+
+    // Material constants at T (the given values unless temperature scaling is requested)
+    const scaled = temperatureScaling ? scaleMaterial({ Ms, Ku, A }, T, temperatureScaling) : null;
+    const material = scaled ? { Ms: scaled.Ms, Ku: scaled.Ku, A: scaled.A } : { Ms, Ku, A };
+
+    const { N, volume, displayFactors = null, axisymmetric = false, isotropic = false, infiniteRod = false, ...extras } =
+        model(dims, convention, material.Ms, T);
+    const [N_x, N_y, N_z] = N;
+
+    // Validate factors
+    if (N.some(value => !isFinite(value) || value < 0 || value > 1)) {
+        throw new Error("Invalid demagnetization factors calculated");
+    }
+
+    const sum = N_x + N_y + N_z;
+    if (Math.abs(sum - 1.0) > 0.01) {
+        throw new Error(`Demagnetization factors don't sum to 1 (sum = ${sum.toFixed(4)})`);
+    }
+
+    // Analyze anisotropy (energies always use magnetometric factors)
+    const factors = axisymmetric
+        ? [{name: 'x,y', value: N_x}, {name: 'z', value: N_z}]
+        : [{name: 'x', value: N_x}, {name: 'y', value: N_y}, {name: 'z', value: N_z}];
+
+    let analysis = analyzeAnisotropy(factors, material.Ms, material.Ku, volume ?? 0, T, easyAxisInPlane);
+
+    if (axisymmetric) {
+        // Report a single in-plane axis rather than the 'x,y' group
+        analysis = {
+            ...analysis,
+            easy_axis: { name: N_z < N_x ? 'z' : 'x', value: Math.min(N_x, N_z) },
+            hard_axis: { name: N_z > N_x ? 'z' : 'x', value: Math.max(N_x, N_z) },
+            N_easy: Math.min(N_x, N_z),
+            N_hard: Math.max(N_x, N_z)
+        };
+    } else if (isotropic) {
+        // Sphere has no shape anisotropy
+        analysis = {
+            ...analysis,
+            easy_axis: { name: 'isotropic', value: N_x },
+            hard_axis: { name: 'isotropic', value: N_x },
+            N_easy: N_x,
+            N_hard: N_x,
+            K_shape: 0
+        };
+    } else if (infiniteRod) {
+        analysis = {
+            ...analysis,
+            easy_axis: { name: 'parallel', value: N_z },
+            hard_axis: { name: 'perpendicular', value: N_x },
+            N_easy: N_z,
+            N_hard: N_x,
+            K_shape: 0.25 * PHYSICS_CONSTANTS.MU0 * material.Ms * material.Ms
+        };
+    }
+
+    // General crystal anisotropy: the lowest point of the energy surface replaces the two-option analysis.
+    // A rotated prism stays in its body frame like the uniaxial path (the crystal axes rotate with it);
+    // a custom shape uses its full grid-frame tensor, off-diagonal terms included
+    let crystal = null, surface = null;
+    if (crystalAnisotropy) {
+        const { axis = [0, 0], K1 = 0, K2 = 0, cubicOrientation = '001', cubicAngle = 0 } = crystalAnisotropy;
+        const cubic = temperatureScaling ? scaleCubicAnisotropy({ K1, K2 }, T, temperatureScaling) : { K1, K2 };
+        crystal = { axis, ...cubic, cubicOrientation, cubicAngle };
+        surface = energySurface({
+            N: extras.voxels ? extras.tensor.matrix : N.map((value, i) => N.map((_, j) => i === j ? value : 0)),
+            Ms: material.Ms,
+            Ku: material.Ku,
+            ...crystal
+        });
+        analysis = { ...analysis, ...analyzeEnergySurface(surface, crystal, volume ?? 0, T) };
+    }
+
+    return {
+        geometry,
+        dims,
+        ...material,
+        T,
+        easyAxisInPlane,
+        volume,
+        N,
+        convention,
+        displayFactors,
+        ...analysis,
+        delta: volume === null ? null : analysis.delta,
+        thermal: volume === null ? null : thermalDesign({ ...analysis, T }, volume, deltaTarget, attemptFrequency),
+        temperatureScaling: scaled
+            ? { ...temperatureScaling, m: scaled.m, m_reference: scaled.m_reference, reference: { Ms, Ku, A } }
+            : null,
+        interfaceAnisotropy: interfaceKu,
+        crystalAnisotropy: crystal,
+        energySurface: surface,
+        exchange_length: analysis.K_eff === 0 ? null : Math.sqrt(material.A / Math.abs(analysis.K_eff)),
+        ...extras
+    };
+}
+
+export default {
+    GEOMETRIES,
+    GEOMETRY_DIMENSIONS,
+    THICKNESS_DIMENSIONS,
+    shapeDimensionNames,
+    interfaceUniaxialAnisotropy,
+    analyzeAnisotropy,
+    thermalDesign,
+    preferredOrientation,
+    resultOrientation,
+    computeDemag
+};
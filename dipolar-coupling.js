@@ -0,0 +1,169 @@
+// Dipolar coupling between identical prisms: a pair, or one element inside a square or hexagonal array (no DOM access)
+// Mutual tensors from Newell's f/g functions; all elements are taken as uniformly magnetized in the same direction,
+// so an element feels H = −(N_self + Σ N_mutual)·M and the sum acts as its effective demagnetization tensor
+
+import { analyzeAnisotropy } from './demag-core.js';
+import { prism_mutual_tensor } from './math-utils.js';
+
+export const COUPLING_MODES = ['pair', 'square', 'hexagonal'];
+
+// Unit displacement of the second element of a pair
+export const PAIR_DIRECTIONS = {
+    x: [1, 0, 0],
+    y: [0, 1, 0],
+    z: [0, 0, 1]
+};
+
+// Array sums run over sites within this many pitches; farther sites are added as a continuous sheet of dipoles
+const CUTOFF_PITCHES = 50;
+
+/**
+ * Sites of a square or hexagonal lattice in the x-y plane within a radius, without the origin
+ * @param {string} lattice - 'square' or 'hexagonal'
+ * @param {number} pitch - Nearest-neighbour distance
+ * @param {number} radius - Largest site distance from the origin
+ * @returns {Array<Array<number>>} Site positions [X, Y, 0]
+ */
+export function latticeSites(lattice, pitch, radius) {
+    // Second lattice vector: (0, p) for square, (p/2, p·√3/2) for hexagonal
+    const [shear, rowHeight] = lattice === 'hexagonal' ? [pitch / 2, pitch * Math.sqrt(3) / 2] : [0, pitch];
+    const rows = Math.ceil(radius / rowHeight);
+    const sites = [];
+
+    for (let j = -rows; j <= rows; j++) {
+        const columns = Math.ceil(radius / pitch) + Math.abs(j);
+        for (let i = -columns; i <= columns; i++) {
+            const X = i * pitch + j * shear;
+            const Y = j * rowHeight;
+            if ((i !== 0 || j !== 0) && Math.hypot(X, Y) <= radius) {
+                sites.push([X, Y, 0]);
+            }
+        }
+    }
+    return sites;
+}
+
+// Identical prisms at this displacement share volume
+function overlaps([a, b, c], [X, Y, Z]) {
+    const tolerance = 1e-9 * Math.max(a, b, c);
+    return Math.abs(X) < a - tolerance && Math.abs(Y) < b - tolerance && Math.abs(Z) < c - tolerance;
+}
+
+const addTensors = (A, B) => A.map((row, i) => row.map((value, j) => value + B[i][j]));
+
+/**
+ * Interaction tensor of one element with its neighbours: Σ N_mutual
+ * @param {Array<number>} size - Prism sizes [a, b, c]
+ * @param {Object} options
+ * @param {string} options.mode - 'pair', 'square' or 'hexagonal'
+ * @param {number} options.spacing - Pair center-to-center distance or lattice pitch (same unit as size)
+ * @param {string} options.direction - Pair displacement axis 'x', 'y' or 'z' (pair only)
+ * @returns {{interaction: Array<Array<number>>, neighbours: number, areaPerElement: number|null}}
+ */
+export function interactionTensor([a, b, c], { mode, spacing, direction = 'x' }) {
+    if (!COUPLING_MODES.includes(mode)) {
+        throw new Error(`Unknown coupling mode '${mode}' (expected one of: ${COUPLING_MODES.join(', ')})`);
+    }
+    if (typeof spacing !== 'number' || !(spacing > 0) || !isFinite(spacing)) {
+        throw new Error("Spacing must be a positive number");
+    }
+
+    if (mode === 'pair') {
+        const unit = PAIR_DIRECTIONS[direction];
+        if (!unit) {
+            throw new Error(`Unknown pair direction '${direction}' (expected x, y or z)`);
+        }
+        const offset = unit.map(component => component * spacing);
+        if (overlaps([a, b, c], offset)) {
+            throw new Error(`Spacing ${spacing} is smaller than the element along ${direction}: the two prisms overlap`);
+        }
+        return { interaction: prism_mutual_tensor(a, b, c, offset), neighbours: 1, areaPerElement: null };
+    }
+
+    const radius = CUTOFF_PITCHES * spacing;
+    const sites = latticeSites(mode, spacing, radius);
+    if (sites.some(site => overlaps([a, b, c], site))) {
+        throw new Error(`Pitch ${spacing} is smaller than the element: neighbouring prisms overlap`);
+    }
+
+    let interaction = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (const site of sites) {
+        interaction = addTensors(interaction, prism_mutual_tensor(a, b, c, site));
+    }
+
+    // Sites beyond the cutoff as a uniform sheet of point dipoles (areal density 1/areaPerElement):
+    // ∫ V/(4πr³)·(I − 3r̂r̂) dA/areaPerElement over r > R gives V/(2R·areaPerElement)·diag(−½, −½, 1)
+    const areaPerElement = mode === 'hexagonal' ? spacing * spacing * Math.sqrt(3) / 2 : spacing * spacing;
+    const tail = a * b * c / (2 * radius * areaPerElement);
+    interaction[0][0] -= tail / 2;
+    interaction[1][1] -= tail / 2;
+    interaction[2][2] += tail;
+
+    return { interaction, neighbours: sites.length, areaPerElement };
+}
+
+/**
+ * Effective demagnetization tensor and anisotropy of a prism coupled to a neighbour or an array
+ * @param {Object} result - computeDemag result for an unrotated prism
+ * @param {Object} options - {mode, spacing [nm], direction} (see interactionTensor)
+ * @returns {Object} {mode, spacing, direction, neighbours, fillFactor (arrays, else null),
+ *   self, interaction and effective 3×3 tensors, N_effective = diagonal of effective,
+ *   strayField [A/m] along the preferred axis of the isolated element with M saturated along it,
+ *   isolated and coupled anisotropy analyses (see analyzeAnisotropy)}
+ */
+export function dipolarCoupling(result, { mode, spacing, direction = 'x' }) {
+    if (result.geometry !== 'prism') {
+        throw new Error("Dipolar coupling is computed for rectangular prisms; switch to the Rectangular Prism geometry");
+    }
+    if (result.tensor) {
+        throw new Error("Dipolar coupling assumes prisms aligned with the array axes; set the Euler angles to 0");
+    }
+    if (result.energySurface) {
+        throw new Error("Dipolar coupling uses the uniaxial anisotropy model; set Crystal Anisotropy to Uniaxial");
+    }
+
+    const { a, b, c } = result.dims;
+    const { interaction, neighbours, areaPerElement } = interactionTensor([a, b, c], { mode, spacing, direction });
+
+    const self = result.N.map((value, i) => result.N.map((_, j) => i === j ? value : 0));
+    const effective = addTensors(self, interaction);
+    const N_effective = effective.map((row, i) => row[i]);
+
+    // Axis-aligned pairs and arrays keep the tensor diagonal, so the anisotropy follows from its diagonal
+    const coupled = analyzeAnisotropy(
+        ['x', 'y', 'z'].map((name, i) => ({ name, value: N_effective[i] })),
+        result.Ms, result.Ku, result.volume, result.T, result.easyAxisInPlane
+    );
+
+    // Field from the neighbours on an element saturated along its own preferred axis (z, or the softer in-plane axis)
+    const axis = result.preferred_direction === 'Out-of-plane' ? 2 : (result.N[0] <= result.N[1] ? 0 : 1);
+
+    return {
+        mode,
+        spacing,
+        direction: mode === 'pair' ? direction : null,
+        neighbours,
+        fillFactor: areaPerElement === null ? null : a * b / areaPerElement,
+        self,
+        interaction,
+        effective,
+        N_effective,
+        strayField: { axis: ['x', 'y', 'z'][axis], H: -interaction[axis][axis] * result.Ms },
+        isolated: {
+            N: result.N,
+            K_eff: result.K_eff,
+            H_c: result.H_c,
+            delta: result.delta,
+            preferred_direction: result.preferred_direction
+        },
+        coupled
+    };
+}
+
+export default {
+    COUPLING_MODES,
+    PAIR_DIRECTIONS,
+    latticeSites,
+    interactionTensor,
+    dipolarCoupling
+};
@@ -181,6 +181,60 @@ export class InputHandler {
         };
     }
 
+    // Get target thermal stability Δ
+    getThermalStabilityTarget() {
+        return this.getValue('thermal-stability', UI_CONFIG.DEFAULT_VALUES.thermalStability);
+    }
+
+    // Get Néel–Arrhenius attempt frequency
+    getAttemptFrequency() {
+        return this.getValue('attempt-frequency', UI_CONFIG.DEFAULT_VALUES.attemptFrequency) * 1e9; // Convert GHz to Hz
+    }
+
+    // Get temperature scaling settings for Ms, Ku and A (null when scaling is off)
+    getTemperatureScaling() {
+        const lawSelector = document.getElementById('temperature-scaling');
+        const referenceSelector = document.getElementById('reference-temperature');
+        if (!lawSelector || lawSelector.value === 'off') return null;
+        
+        const defaults = UI_CONFIG.DEFAULT_VALUES;
+        return {
+            law: lawSelector.value,
+            curieTemperature: this.getValue('curie-temperature', defaults.curieTemperature),
+            referenceTemperature: referenceSelector ? Number(referenceSelector.value) : defaults.referenceTemperature,
+            kuExponent: this.getValue('ku-exponent', defaults.kuExponent),
+            kuzminS: this.getValue('kuzmin-s', defaults.kuzminS)
+        };
+    }
+
+    // Interface anisotropy Ku = Kv + Ks/t in SI, or null when Ku is entered directly
+    getInterfaceAnisotropy() {
+        const modelSelector = document.getElementById('anisotropy-model');
+        if (!modelSelector || modelSelector.value !== 'interface') return null;
+        
+        const defaults = UI_CONFIG.DEFAULT_VALUES;
+        return {
+            Kv: this.getValue('kv-value', defaults.Kv) * 1e6, // MJ/m³ to J/m³
+            Ks: this.getValue('ks-value', defaults.Ks) * 1e-3 // mJ/m² to J/m²
+        };
+    }
+
+    // General crystal anisotropy (tilted Ku axis, cubic K1, K2) in SI, or null for the uniaxial ⊥/∥ choice
+    getCrystalAnisotropy() {
+        const modelSelector = document.getElementById('crystal-anisotropy');
+        const orientationSelector = document.getElementById('cubic-orientation');
+        if (!modelSelector || modelSelector.value !== 'general') return null;
+        
+        const defaults = UI_CONFIG.DEFAULT_VALUES;
+        return {
+            axis: [this.getValue('axis-theta', defaults.axisTheta), this.getValue('axis-phi', defaults.axisPhi)],
+            K1: this.getValue('k1-value', defaults.K1) * 1e6, // MJ/m³ to J/m³
+            K2: this.getValue('k2-value', defaults.K2) * 1e6,
+            cubicOrientation: orientationSelector ? orientationSelector.value : defaults.cubicOrientation,
+            cubicAngle: this.getValue('cubic-angle', defaults.cubicAngle)
+        };
+    }
+
     // Get geometry dimensions
     getGeometryDimensions(geometryType) {
         switch (geometryType) {
@@ -188,7 +242,10 @@ export class InputHandler {
                 return {
                     a: this.getValue('prism-a', UI_CONFIG.DEFAULT_VALUES.prism.a),
                     b: this.getValue('prism-b', UI_CONFIG.DEFAULT_VALUES.prism.b),
-                    c: this.getValue('prism-c', UI_CONFIG.DEFAULT_VALUES.prism.c)
+                    c: this.getValue('prism-c', UI_CONFIG.DEFAULT_VALUES.prism.c),
+                    eulerAlpha: this.getValue('prism-euler-alpha', UI_CONFIG.DEFAULT_VALUES.prism.eulerAlpha),
+                    eulerBeta: this.getValue('prism-euler-beta', UI_CONFIG.DEFAULT_VALUES.prism.eulerBeta),
+                    eulerGamma: this.getValue('prism-euler-gamma', UI_CONFIG.DEFAULT_VALUES.prism.eulerGamma)
                 };
             case 'cylinder':
                 return {
@@ -199,6 +256,72 @@ export class InputHandler {
                 return {
                     diameter: this.getValue('sphere-diameter', UI_CONFIG.DEFAULT_VALUES.sphere.diameter)
                 };
+            case 'ellipsoid':
+                return {
+                    a: this.getValue('ellipsoid-a', UI_CONFIG.DEFAULT_VALUES.ellipsoid.a),
+                    b: this.getValue('ellipsoid-b', UI_CONFIG.DEFAULT_VALUES.ellipsoid.b),
+                    c: this.getValue('ellipsoid-c', UI_CONFIG.DEFAULT_VALUES.ellipsoid.c)
+                };
+            case 'ring':
+                return {
+                    thickness: this.getValue('ring-thickness', UI_CONFIG.DEFAULT_VALUES.ring.thickness),
+                    outerDiameter: this.getValue('ring-outer-diameter', UI_CONFIG.DEFAULT_VALUES.ring.outerDiameter),
+                    innerDiameter: this.getValue('ring-inner-diameter', UI_CONFIG.DEFAULT_VALUES.ring.innerDiameter)
+                };
+            case 'thin-film': {
+                const shapeSelector = document.getElementById('thin-film-shape');
+                return {
+                    shape: shapeSelector ? shapeSelector.value : UI_CONFIG.DEFAULT_VALUES.thinFilm.shape,
+                    thickness: this.getValue('thin-film-thickness', UI_CONFIG.DEFAULT_VALUES.thinFilm.thickness),
+                    width: this.getValue('thin-film-width', UI_CONFIG.DEFAULT_VALUES.thinFilm.width),
+                    length: this.getValue('thin-film-length', UI_CONFIG.DEFAULT_VALUES.thinFilm.length),
+                    diameter: this.getValue('thin-film-diameter', UI_CONFIG.DEFAULT_VALUES.thinFilm.diameter)
+                };
+            }
+            case 'nanowire': {
+                const crossSectionSelector = document.getElementById('nanowire-cross-section');
+                return {
+                    crossSection: crossSectionSelector ? crossSectionSelector.value : UI_CONFIG.DEFAULT_VALUES.nanowire.crossSection,
+                    length: this.getValue('nanowire-length', UI_CONFIG.DEFAULT_VALUES.nanowire.length),
+                    diameter: this.getValue('nanowire-diameter', UI_CONFIG.DEFAULT_VALUES.nanowire.diameter),
+                    threshold: this.getValue('nanowire-threshold', UI_CONFIG.DEFAULT_VALUES.nanowire.threshold)
+                };
+            }
+            case 'elliptic-cylinder':
+                return {
+                    thickness: this.getValue('elliptic-cylinder-thickness', UI_CONFIG.DEFAULT_VALUES.ellipticCylinder.thickness),
+                    majorAxis: this.getValue('elliptic-cylinder-major', UI_CONFIG.DEFAULT_VALUES.ellipticCylinder.majorAxis),
+                    minorAxis: this.getValue('elliptic-cylinder-minor', UI_CONFIG.DEFAULT_VALUES.ellipticCylinder.minorAxis)
+                };
+            case 'polygon':
+                return {
+                    sides: this.getValue('polygon-sides', UI_CONFIG.DEFAULT_VALUES.polygon.sides),
+                    sideLength: this.getValue('polygon-side-length', UI_CONFIG.DEFAULT_VALUES.polygon.sideLength),
+                    thickness: this.getValue('polygon-thickness', UI_CONFIG.DEFAULT_VALUES.polygon.thickness)
+                };
+            case 'voxel': {
+                // Only the inputs of the chosen shape, so results list what was actually used
+                const defaults = UI_CONFIG.DEFAULT_VALUES.voxel;
+                const shapeSelector = document.getElementById('voxel-shape');
+                const shape = shapeSelector ? shapeSelector.value : defaults.shape;
+                const dims = {
+                    shape,
+                    width: this.getValue('voxel-width', defaults.width),
+                    length: this.getValue('voxel-length', defaults.length),
+                    thickness: this.getValue('voxel-thickness', defaults.thickness)
+                };
+                if (shape === 'rounded-rectangle') {
+                    dims.cornerRadius = this.getValue('voxel-corner-radius', defaults.cornerRadius);
+                }
+                if (shape === 'mask') {
+                    const maskInput = document.getElementById('voxel-mask');
+                    dims.mask = maskInput ? maskInput.value : '';
+                } else {
+                    dims.resolution = this.getValue('voxel-resolution', defaults.resolution);
+                    dims.layers = this.getValue('voxel-layers', defaults.layers);
+                }
+                return dims;
+            }
             default:
                 return {};
         }
@@ -0,0 +1,72 @@
+// Interface anisotropy Ku = Kv + Ks/t: K_eff·t versus thickness and the spin-reorientation thickness (no DOM access)
+// For an infinite film K_eff·t = Ks + (Kv − ½μ0Ms²)·t, a straight line crossing zero at t_c = Ks/(½μ0Ms² − Kv);
+// finite structures follow it with their own N_z − N_x, which the sweep evaluates exactly
+
+import { PHYSICS_CONSTANTS } from './config.js';
+import { computeDemag, resultOrientation, THICKNESS_DIMENSIONS } from './demag-core.js';
+import { runSweep, SWEEP_PARAMETERS } from './sweep.js';
+import { scaleMaterial } from './temperature-scaling.js';
+
+// Plotted range as multiples of the larger of the current thickness and the film-limit t_c
+const RANGE_FACTOR = 2;
+const POINTS = 60;
+
+/**
+ * Kv and Ks at T: temperature scaling multiplies both like Ku
+ * @param {Object} base - computeDemag parameters including interfaceAnisotropy {Kv, Ks}
+ * @returns {{Kv: number, Ks: number}} J/m³ and J/m²
+ */
+export function interfaceAnisotropyAtTemperature({ interfaceAnisotropy: { Kv, Ks }, Ms, A, T, temperatureScaling = null }) {
+    const scale = temperatureScaling ? scaleMaterial({ Ms, Ku: 1, A }, T, temperatureScaling).Ku : 1;
+    return { Kv: Kv * scale, Ks: Ks * scale };
+}
+
+/**
+ * K_eff·t over thickness for the current structure, with the spin-reorientation thickness
+ * @param {Object} base - computeDemag parameters including interfaceAnisotropy {Kv, Ks}
+ * @param {Object} options
+ * @param {number} options.end - Largest thickness [nm] (default: twice the larger of the current thickness and t_c)
+ * @param {number} options.points - Number of thicknesses (default 60)
+ * @returns {{thickness: number, current: Object, points: Array<{t: number, K_eff: number, K_eff_t: number}>,
+ *   reorientations: Array<{t: number, from: string, to: string}>, filmLimit: {Ks: number, slope: number, t_c: number|null}}}
+ *   Thicknesses in nm, K_eff in J/m³, K_eff·t and Ks in J/m², slope in J/m³ (at T, after any temperature scaling)
+ */
+export function interfaceThicknessDependence(base, { end = null, points = POINTS } = {}) {
+    if (!base.interfaceAnisotropy) {
+        throw new Error("Switch the anisotropy to Interface (Kv + Ks/t) to plot K_eff·t against thickness");
+    }
+    if (base.crystalAnisotropy) {
+        throw new Error("K_eff·t is plotted for a uniaxial axis along z or in-plane; set Crystal Anisotropy to Uniaxial");
+    }
+
+    const current = computeDemag(base);
+    const { thickness } = current.interfaceAnisotropy;
+
+    // current.Ms is already at T
+    const { Kv, Ks } = interfaceAnisotropyAtTemperature(base);
+    const slope = Kv - 0.5 * PHYSICS_CONSTANTS.MU0 * current.Ms ** 2;
+    const t_c = Ks / -slope * 1e9;
+    const filmLimit = { Ks, slope, t_c: t_c > 0 && isFinite(t_c) ? t_c : null };
+
+    const dimension = THICKNESS_DIMENSIONS[base.geometry];
+    const parameter = Object.keys(SWEEP_PARAMETERS).find(id =>
+        SWEEP_PARAMETERS[id].geometry === base.geometry && SWEEP_PARAMETERS[id].dimension === dimension);
+    const last = end ?? RANGE_FACTOR * Math.max(thickness, filmLimit.t_c ?? 0);
+    const sweep = runSweep(base, { parameter, start: last / points, end: last, points });
+
+    return {
+        thickness,
+        current: { t: thickness, K_eff: current.K_eff, K_eff_t: current.K_eff * thickness * 1e-9 },
+        points: sweep.points
+            .filter(sample => sample.result)
+            .map(({ value, result }) => ({ t: value, K_eff: result.K_eff, K_eff_t: result.K_eff * value * 1e-9 })),
+        reorientations: sweep.transitions.map(({ value, from, to }) => ({ t: value, from, to })),
+        filmLimit,
+        preferredDirection: resultOrientation(current)
+    };
+}
+
+export default {
+    interfaceAnisotropyAtTemperature,
+    interfaceThicknessDependence
+};
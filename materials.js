@@ -0,0 +1,186 @@
+// Materials library: built-in presets plus custom materials kept in localStorage
+// Values use the UI units: Ms in kA/m, Ku, K1 and K2 in MJ/m³, A in pJ/m (room temperature, bulk unless noted), Tc in K
+
+const STORAGE_KEY = 'demagcal-custom-materials';
+const EXPORT_FORMAT = 'demagcal-materials';
+
+// Built-in presets; cubic materials have Ku = 0 and carry K1, K2 for the general crystal anisotropy
+export const MATERIAL_PRESETS = [
+    { id: 'fe', name: 'Fe', Ms: 1710, Ku: 0, K1: 0.048, K2: 0, A: 21, Tc: 1043, info: 'bcc iron; cubic K₁ with easy ⟨100⟩ axes' },
+    { id: 'co', name: 'Co', Ms: 1400, Ku: 0.45, A: 30, Tc: 1388, info: 'hcp cobalt; uniaxial along the c axis' },
+    { id: 'ni', name: 'Ni', Ms: 485, Ku: 0, K1: -0.0045, K2: -0.0023, A: 9, Tc: 627, info: 'fcc nickel; cubic K₁ < 0 with easy ⟨111⟩ axes' },
+    { id: 'py', name: 'Permalloy (Ni₈₀Fe₂₀)', Ms: 800, Ku: 0, A: 13, Tc: 850, info: 'Soft magnet with negligible anisotropy' },
+    { id: 'cofeb', name: 'CoFeB/MgO', Ms: 1100, Ku: 0.9, A: 15, Tc: 1000, info: 'Annealed Co₂₀Fe₆₀B₂₀ about 1 nm thick; Ku is the interfacial PMA of the MgO interface' },
+    { id: 'fept', name: 'FePt L1₀', Ms: 1140, Ku: 6.6, A: 10, Tc: 750, info: 'Chemically ordered L1₀ phase; uniaxial along c' },
+    { id: 'ndfeb', name: 'Nd₂Fe₁₄B', Ms: 1280, Ku: 4.9, A: 7.7, Tc: 585, info: 'Tetragonal hard magnet; uniaxial along c' },
+    { id: 'smco5', name: 'SmCo₅', Ms: 860, Ku: 17.2, A: 12, Tc: 1020, info: 'Hexagonal hard magnet; uniaxial along c' },
+    { id: 'bam', name: 'BaFe₁₂O₁₉', Ms: 380, Ku: 0.33, A: 6.1, Tc: 740, info: 'Barium hexaferrite; uniaxial along c' },
+    { id: 'yig', name: 'YIG (Y₃Fe₅O₁₂)', Ms: 140, Ku: 0, K1: -0.0006, K2: 0, A: 3.7, Tc: 560, info: 'Yttrium iron garnet, insulating; cubic K₁ < 0' }
+];
+
+// Check one material record and normalize it to {name, Ms, Ku, K1?, K2?, A, Tc?, info}
+function validateMaterial(material) {
+    if (!material || typeof material !== 'object') {
+        throw new Error("Each material must be an object with name, Ms, Ku and A");
+    }
+
+    const name = typeof material.name === 'string' ? material.name.trim() : '';
+    if (!name) {
+        throw new Error("Each material needs a name");
+    }
+
+    const [Ms, Ku, A] = ['Ms', 'Ku', 'A'].map(key => Number(material[key]));
+    if (![Ms, Ku, A].every(isFinite) || material.Ms === null || material.Ku === null || material.A === null) {
+        throw new Error(`Material '${name}' needs numeric Ms, Ku and A`);
+    }
+    if (Ms <= 0 || A <= 0) {
+        throw new Error(`Material '${name}' needs positive Ms and A`);
+    }
+
+    // Curie temperature is optional (older exports have none)
+    const Tc = material.Tc === undefined || material.Tc === null ? undefined : Number(material.Tc);
+    if (Tc !== undefined && !(Tc > 0)) {
+        throw new Error(`Material '${name}' needs a positive Curie temperature Tc`);
+    }
+
+    // Cubic constants are optional; either one makes the material cubic, the other defaulting to 0
+    const [K1, K2] = ['K1', 'K2'].map(key => material[key] === undefined || material[key] === null ? undefined : Number(material[key]));
+    const cubic = K1 !== undefined || K2 !== undefined;
+    if (cubic && ![K1 ?? 0, K2 ?? 0].every(isFinite)) {
+        throw new Error(`Material '${name}' needs numeric K1 and K2`);
+    }
+
+    return {
+        name, Ms, Ku,
+        ...(cubic && { K1: K1 ?? 0, K2: K2 ?? 0 }),
+        A,
+        ...(Tc !== undefined && { Tc }),
+        info: typeof material.info === 'string' ? material.info : ''
+    };
+}
+
+/**
+ * Custom materials saved in this browser
+ * @returns {Array<{id: string, name: string, Ms: number, Ku: number, K1?: number, K2?: number, A: number, Tc?: number, info: string}>}
+ */
+export function loadCustomMaterials() {
+    try {
+        return readStoredMaterials();
+    } catch (error) {
+        // Unavailable or unreadable storage: show an empty library
+        return [];
+    }
+}
+
+// Valid stored materials with their ids; invalid entries are skipped one by one.
+// Throws if the storage cannot be read or parsed, so that callers never overwrite it
+function readStoredMaterials() {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    if (!Array.isArray(stored)) {
+        throw new Error("Saved materials are not a list");
+    }
+    return stored.flatMap((entry) => {
+        try {
+            const material = validateMaterial(entry);
+            return [{ ...material, id: `custom:${material.name}` }];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+// Saved materials to be modified and written back
+function loadForUpdate() {
+    try {
+        return readStoredMaterials();
+    } catch (error) {
+        throw new Error("Saved materials in this browser could not be read; they were left unchanged");
+    }
+}
+
+// Persist custom materials (ids are derived from names and not stored)
+function storeCustomMaterials(materials) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(materials.map(({ id, ...material }) => material)));
+}
+
+/**
+ * Save or replace (by name) a custom material
+ * @param {Object} material - {name, Ms [kA/m], Ku [MJ/m³], K1, K2 [MJ/m³] (optional, cubic), A [pJ/m], Tc [K] (optional), info}
+ * @returns {Object} The stored material with its id
+ */
+export function saveCustomMaterial(material) {
+    const saved = validateMaterial(material);
+    const materials = loadForUpdate().filter(existing => existing.name !== saved.name);
+    const entry = { ...saved, id: `custom:${saved.name}` };
+
+    storeCustomMaterials([...materials, entry]);
+    return entry;
+}
+
+/**
+ * Remove a custom material
+ * @param {string} id - Material id ('custom:<name>')
+ */
+export function deleteCustomMaterial(id) {
+    storeCustomMaterials(loadForUpdate().filter(material => material.id !== id));
+}
+
+/**
+ * Look up a preset or custom material
+ * @param {string} id - Material id
+ * @returns {Object|null} Material or null
+ */
+export function findMaterial(id) {
+    return [...MATERIAL_PRESETS, ...loadCustomMaterials()].find(material => material.id === id) || null;
+}
+
+/**
+ * Custom materials as a JSON document for sharing
+ * @returns {string} JSON text
+ */
+export function exportMaterialsJson() {
+    const materials = loadCustomMaterials().map(({ id, ...material }) => material);
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: 1,
+        units: { Ms: 'kA/m', Ku: 'MJ/m³', K1: 'MJ/m³', K2: 'MJ/m³', A: 'pJ/m', Tc: 'K' },
+        materials
+    }, null, 2) + '\n';
+}
+
+/**
+ * Import materials from JSON (an exported document or a bare array); same names are replaced
+ * The whole file is rejected if any entry is invalid
+ * @param {string} text - JSON text
+ * @returns {number} Number of imported materials
+ */
+export function importMaterialsJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("File is not valid JSON");
+    }
+
+    const entries = Array.isArray(data) ? data : data && data.materials;
+    if (!Array.isArray(entries)) {
+        throw new Error("Expected a list of materials");
+    }
+
+    const imported = entries.map(validateMaterial);
+    const names = new Set(imported.map(material => material.name));
+    const kept = loadForUpdate().filter(material => !names.has(material.name));
+
+    storeCustomMaterials([...kept, ...imported]);
+    return imported.length;
+}
+
+export default {
+    MATERIAL_PRESETS,
+    loadCustomMaterials,
+    saveCustomMaterial,
+    deleteCustomMaterial,
+    findMaterial,
+    exportMaterialsJson,
+    importMaterialsJson
+};
@@ -1,81 +1,241 @@
 // Mathematical utilities for demagnetization calculations
 
 /**
- * Elliptic integral approximations (simplified for web use)
+ * Carlson symmetric elliptic integrals (duplication algorithm)
+ * B. C. Carlson, Numer. Algorithms 10, 13–26 (1995)
+ * Tolerances chosen for full double precision (relative error ~1e-16)
+ */
+const CARLSON_MAX_ITERATIONS = 100;
+
+/**
+ * Carlson's integral of the first kind
+ * R_F(x,y,z) = ½ ∫[0 to ∞] dt / √((t+x)(t+y)(t+z))
+ */
+function carlsonRF(x, y, z) {
+    const ERRTOL = 0.0008;
+
+    if (Math.min(x, y, z) < 0 || Math.min(x + y, x + z, y + z) === 0) {
+        throw new Error(`Invalid arguments for carlsonRF: (${x}, ${y}, ${z})`);
+    }
+
+    let xt = x, yt = y, zt = z;
+    let ave, delx, dely, delz;
+
+    for (let i = 0; i < CARLSON_MAX_ITERATIONS; i++) {
+        const sqrtx = Math.sqrt(xt);
+        const sqrty = Math.sqrt(yt);
+        const sqrtz = Math.sqrt(zt);
+        const alamb = sqrtx * (sqrty + sqrtz) + sqrty * sqrtz;
+        xt = 0.25 * (xt + alamb);
+        yt = 0.25 * (yt + alamb);
+        zt = 0.25 * (zt + alamb);
+        ave = (xt + yt + zt) / 3;
+        delx = (ave - xt) / ave;
+        dely = (ave - yt) / ave;
+        delz = (ave - zt) / ave;
+        if (Math.max(Math.abs(delx), Math.abs(dely), Math.abs(delz)) < ERRTOL) break;
+    }
+
+    const e2 = delx * dely - delz * delz;
+    const e3 = delx * dely * delz;
+    return (1 + (e2 / 24 - 0.1 - 3 * e3 / 44) * e2 + e3 / 14) / Math.sqrt(ave);
+}
+
+/**
+ * Carlson's integral of the second kind
+ * R_D(x,y,z) = 3/2 ∫[0 to ∞] dt / ((t+z)√((t+x)(t+y)(t+z)))
+ */
+function carlsonRD(x, y, z) {
+    const ERRTOL = 0.0005;
+
+    if (Math.min(x, y) < 0 || x + y === 0 || z <= 0) {
+        throw new Error(`Invalid arguments for carlsonRD: (${x}, ${y}, ${z})`);
+    }
+
+    let xt = x, yt = y, zt = z;
+    let sum = 0;
+    let fac = 1;
+    let ave, delx, dely, delz;
+
+    for (let i = 0; i < CARLSON_MAX_ITERATIONS; i++) {
+        const sqrtx = Math.sqrt(xt);
+        const sqrty = Math.sqrt(yt);
+        const sqrtz = Math.sqrt(zt);
+        const alamb = sqrtx * (sqrty + sqrtz) + sqrty * sqrtz;
+        sum += fac / (sqrtz * (zt + alamb));
+        fac *= 0.25;
+        xt = 0.25 * (xt + alamb);
+        yt = 0.25 * (yt + alamb);
+        zt = 0.25 * (zt + alamb);
+        ave = 0.2 * (xt + yt + 3 * zt);
+        delx = (ave - xt) / ave;
+        dely = (ave - yt) / ave;
+        delz = (ave - zt) / ave;
+        if (Math.max(Math.abs(delx), Math.abs(dely), Math.abs(delz)) < ERRTOL) break;
+    }
+
+    const ea = delx * dely;
+    const eb = delz * delz;
+    const ec = ea - eb;
+    const ed = ea - 6 * eb;
+    const ee = ed + ec + ec;
+    const C1 = 3 / 14, C2 = 1 / 6, C3 = 9 / 22, C4 = 3 / 26, C5 = 0.25 * C3, C6 = 1.5 * C4;
+
+    return 3 * sum + fac * (1 + ed * (-C1 + C5 * ed - C6 * delz * ee) +
+        delz * (C2 * ee + delz * (-C3 * ec + delz * C4 * ea))) / (ave * Math.sqrt(ave));
+}
+
+/**
+ * Carlson's degenerate integral R_C(x,y) = R_F(x,y,y)
+ */
+function carlsonRC(x, y) {
+    const ERRTOL = 0.0004;
+
+    if (x < 0 || y === 0) {
+        throw new Error(`Invalid arguments for carlsonRC: (${x}, ${y})`);
+    }
+
+    // Cauchy principal value for y < 0
+    let xt, yt, w;
+    if (y > 0) {
+        xt = x;
+        yt = y;
+        w = 1;
+    } else {
+        xt = x - y;
+        yt = -y;
+        w = Math.sqrt(x) / Math.sqrt(xt);
+    }
+
+    let ave, s;
+    for (let i = 0; i < CARLSON_MAX_ITERATIONS; i++) {
+        const alamb = 2 * Math.sqrt(xt) * Math.sqrt(yt) + yt;
+        xt = 0.25 * (xt + alamb);
+        yt = 0.25 * (yt + alamb);
+        ave = (xt + yt + yt) / 3;
+        s = (yt - ave) / ave;
+        if (Math.abs(s) < ERRTOL) break;
+    }
+
+    const C1 = 0.3, C2 = 1 / 7, C3 = 0.375, C4 = 9 / 22;
+    return w * (1 + s * s * (C1 + s * (C2 + s * (C3 + s * C4)))) / Math.sqrt(ave);
+}
+
+/**
+ * Carlson's integral of the third kind
+ * R_J(x,y,z,p) = 3/2 ∫[0 to ∞] dt / ((t+p)√((t+x)(t+y)(t+z)))
+ */
+function carlsonRJ(x, y, z, p) {
+    const ERRTOL = 0.0005;
+
+    if (Math.min(x, y, z) < 0 || Math.min(x + y, x + z, y + z) === 0 || p <= 0) {
+        throw new Error(`Invalid arguments for carlsonRJ: (${x}, ${y}, ${z}, ${p})`);
+    }
+
+    let xt = x, yt = y, zt = z, pt = p;
+    let sum = 0;
+    let fac = 1;
+    let ave, delx, dely, delz, delp;
+
+    for (let i = 0; i < CARLSON_MAX_ITERATIONS; i++) {
+        const sqrtx = Math.sqrt(xt);
+        const sqrty = Math.sqrt(yt);
+        const sqrtz = Math.sqrt(zt);
+        const alamb = sqrtx * (sqrty + sqrtz) + sqrty * sqrtz;
+        const alpha = Math.pow(pt * (sqrtx + sqrty + sqrtz) + sqrtx * sqrty * sqrtz, 2);
+        const beta = pt * (pt + alamb) * (pt + alamb);
+        sum += fac * carlsonRC(alpha, beta);
+        fac *= 0.25;
+        xt = 0.25 * (xt + alamb);
+        yt = 0.25 * (yt + alamb);
+        zt = 0.25 * (zt + alamb);
+        pt = 0.25 * (pt + alamb);
+        ave = 0.2 * (xt + yt + zt + pt + pt);
+        delx = (ave - xt) / ave;
+        dely = (ave - yt) / ave;
+        delz = (ave - zt) / ave;
+        delp = (ave - pt) / ave;
+        if (Math.max(Math.abs(delx), Math.abs(dely), Math.abs(delz), Math.abs(delp)) < ERRTOL) break;
+    }
+
+    const ea = delx * (dely + delz) + dely * delz;
+    const eb = delx * dely * delz;
+    const ec = delp * delp;
+    const ed = ea - 3 * ec;
+    const ee = eb + 2 * delp * (ea - ec);
+    const C1 = 3 / 14, C2 = 1 / 3, C3 = 3 / 22, C4 = 3 / 26, C5 = 0.75 * C3, C6 = 1.5 * C4, C7 = 0.5 * C2, C8 = C3 + C3;
+
+    return 3 * sum + fac * (1 + ed * (-C1 + C5 * ed - C6 * ee) + eb * (C7 + delp * (-C8 + delp * C4)) +
+        delp * ea * (C2 - delp * C3) - C2 * delp * ec) / (ave * Math.sqrt(ave));
+}
+
+/**
+ * Complete elliptic integral of the first kind K(m) = R_F(0, 1-m, 1)
+ * @param {number} m - Parameter m = k², 0 ≤ m < 1
  */
 function ellipticK(m) {
-    // Approximation for complete elliptic integral of first kind
-    // Check for valid input range
     if (m < 0 || m >= 1) {
         throw new Error(`Invalid parameter for ellipticK: m=${m} (must be 0 ≤ m < 1)`);
     }
-    
-    // Handle edge cases
+
     if (m === 0) return Math.PI / 2;
-    if (m > 0.99999) return Math.log(4 / Math.sqrt(1 - m)); // Asymptotic form
-    
-    const a0 = 1.38629436112;
-    const a1 = 0.09666344259;
-    const a2 = 0.03590092383;
-    const a3 = 0.03742563713;
-    const a4 = 0.01451196212;
-    
-    const b0 = 0.5;
-    const b1 = 0.12498593597;
-    const b2 = 0.06880248576;
-    const b3 = 0.03328355346;
-    const b4 = 0.00441787012;
-    
-    const m1 = 1 - m;
-    const lnm1 = Math.log(m1);
-    
-    const result = (a0 + a1*m1 + a2*m1*m1 + a3*m1*m1*m1 + a4*m1*m1*m1*m1) - 
-                   (b0 + b1*m1 + b2*m1*m1 + b3*m1*m1*m1 + b4*m1*m1*m1*m1) * lnm1;
-    
+
+    const result = carlsonRF(0, 1 - m, 1);
+
     if (!isFinite(result)) {
         throw new Error("ellipticK calculation resulted in non-finite value");
     }
-    
+
     return result;
 }
 
+/**
+ * Complete elliptic integral of the second kind
+ * E(m) = R_F(0, 1-m, 1) - (m/3) R_D(0, 1-m, 1)
+ * @param {number} m - Parameter m = k², 0 ≤ m < 1
+ */
 function ellipticE(m) {
-    // Approximation for complete elliptic integral of second kind
-    // Check for valid input range
     if (m < 0 || m >= 1) {
         throw new Error(`Invalid parameter for ellipticE: m=${m} (must be 0 ≤ m < 1)`);
     }
-    
-    // Handle edge cases
+
     if (m === 0) return Math.PI / 2;
-    if (m > 0.99999) return 1.0; // Asymptotic form
-    
-    const a1 = 0.44325141463;
-    const a2 = 0.06260601220;
-    const a3 = 0.04757383546;
-    const a4 = 0.01736506451;
-    
-    const b1 = 0.24998368310;
-    const b2 = 0.09200180037;
-    const b3 = 0.04069697526;
-    const b4 = 0.00526449639;
-    
-    const m1 = 1 - m;
-    const lnm1 = Math.log(m1);
-    
-    const result = 1 + (a1*m1 + a2*m1*m1 + a3*m1*m1*m1 + a4*m1*m1*m1*m1) - 
-                   (b1*m1 + b2*m1*m1 + b3*m1*m1*m1 + b4*m1*m1*m1*m1) * lnm1;
-    
+
+    const y = 1 - m;
+    const result = carlsonRF(0, y, 1) - (m / 3) * carlsonRD(0, y, 1);
+
     if (!isFinite(result)) {
         throw new Error("ellipticE calculation resulted in non-finite value");
     }
-    
+
+    return result;
+}
+
+/**
+ * Complete elliptic integral of the third kind
+ * Π(n|m) = ∫[0 to π/2] dφ / ((1 - n sin²φ) √(1 - m sin²φ))
+ *        = R_F(0, 1-m, 1) + (n/3) R_J(0, 1-m, 1, 1-n)
+ * @param {number} n - Characteristic, n < 1
+ * @param {number} m - Parameter m = k², 0 ≤ m < 1
+ */
+function ellipticPi(n, m) {
+    if (m < 0 || m >= 1 || n >= 1) {
+        throw new Error(`Invalid parameters for ellipticPi: n=${n}, m=${m} (must be n < 1, 0 ≤ m < 1)`);
+    }
+
+    const y = 1 - m;
+    const result = carlsonRF(0, y, 1) + (n / 3) * carlsonRJ(0, y, 1, 1 - n);
+
+    if (!isFinite(result)) {
+        throw new Error("ellipticPi calculation resulted in non-finite value");
+    }
+
     return result;
 }
 
 /**
  * Incomplete elliptic integral of the first kind F(k,θ)
- * F(k,θ) = ∫[0 to θ] dφ / √(1 - k²sin²φ)
+ * F(k,θ) = ∫[0 to θ] dφ / √(1 - k²sin²φ) = sinθ R_F(cos²θ, 1 - k²sin²θ, 1)
  */
 function ellipticFInc(k, theta) {
     if (k < 0 || k >= 1) {
@@ -83,37 +243,19 @@ function ellipticFInc(k, theta) {
     }
     
     if (theta === 0) return 0;
-    if (Math.abs(theta) >= Math.PI/2) {
-        return ellipticK(k * k) * Math.sign(theta);
-    }
-    
-    // Use Carlson's elliptic integral algorithm
-    const sinTheta = Math.sin(theta);
-    const cosTheta = Math.cos(theta);
+
+    // Reduce θ to [-π/2, π/2] using F(θ + nπ) = F(θ) + 2nK
+    const n = Math.round(theta / Math.PI);
+    const phi = theta - n * Math.PI;
     const k2 = k * k;
-    
-    // Series expansion for moderate values
-    let result = theta;
-    const sinTheta2 = sinTheta * sinTheta;
-    const k2sin2 = k2 * sinTheta2;
-    
-    if (k2sin2 < 0.9) {
-        // Series expansion: F(k,θ) ≈ θ + (k²/2)sin(θ)cos(θ) + ...
-        result += (k2 / 2) * sinTheta * cosTheta;
-        result += (k2 * k2 / 8) * sinTheta * cosTheta * (2 + sinTheta2);
-        result += (k2 * k2 * k2 / 48) * sinTheta * cosTheta * (8 + 6 * sinTheta2 + sinTheta2 * sinTheta2);
-    } else {
-        // Use more accurate method for larger k
-        const n = 20; // Number of integration steps
-        const dt = theta / n;
-        result = 0;
-        
-        for (let i = 0; i < n; i++) {
-            const t = (i + 0.5) * dt;
-            const sint = Math.sin(t);
-            const denom = Math.sqrt(1 - k2 * sint * sint);
-            result += dt / denom;
-        }
+
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const sinPhi2 = sinPhi * sinPhi;
+
+    let result = sinPhi * carlsonRF(cosPhi * cosPhi, 1 - k2 * sinPhi2, 1);
+    if (n !== 0) {
+        result += 2 * n * ellipticK(k2);
     }
     
     if (!isFinite(result)) {
@@ -126,6 +268,7 @@ function ellipticFInc(k, theta) {
 /**
  * Incomplete elliptic integral of second kind E(k,θ)
  * E(k,θ) = ∫[0 to θ] √(1 - k²sin²φ) dφ
+ *        = sinθ R_F(cos²θ, 1 - k²sin²θ, 1) - (k²sin³θ/3) R_D(cos²θ, 1 - k²sin²θ, 1)
  */
 function ellipticEInc(k, theta) {
     if (k < 0 || k >= 1) {
@@ -133,20 +276,25 @@ function ellipticEInc(k, theta) {
     }
     
     if (theta === 0) return 0;
-    if (Math.abs(theta) >= Math.PI/2) {
-        return ellipticE(k * k) * Math.sign(theta);
-    }
-    
-    const sinTheta = Math.sin(theta);
-    const cosTheta = Math.cos(theta);
+
+    // Reduce θ to [-π/2, π/2] using E(θ + nπ) = E(θ) + 2nE
+    const n = Math.round(theta / Math.PI);
+    const phi = theta - n * Math.PI;
     const k2 = k * k;
-    const sinTheta2 = sinTheta * sinTheta;
-    
-    // Series expansion: E(k,θ) ≈ θ - (k²/2)sin(θ)cos(θ) - ...
-    let result = theta;
-    result -= (k2 / 2) * sinTheta * cosTheta;
-    result -= (k2 * k2 / 8) * sinTheta * cosTheta * sinTheta2;
-    result -= (k2 * k2 * k2 / 48) * sinTheta * cosTheta * sinTheta2 * (2 + sinTheta2);
+
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const sinPhi2 = sinPhi * sinPhi;
+    const x = cosPhi * cosPhi;
+    const y = 1 - k2 * sinPhi2;
+
+    let result = sinPhi * carlsonRF(x, y, 1);
+    if (sinPhi2 > 0) {
+        result -= (k2 * sinPhi * sinPhi2 / 3) * carlsonRD(x, y, 1);
+    }
+    if (n !== 0) {
+        result += 2 * n * ellipticE(k2);
+    }
     
     if (!isFinite(result)) {
         throw new Error("ellipticEInc calculation resulted in non-finite value");
@@ -155,15 +303,95 @@ function ellipticEInc(k, theta) {
     return result;
 }
 
+/**
+ * Gauss–Legendre quadrature nodes and weights on [-1, 1]
+ * @param {number} n - Number of nodes
+ * @returns {Array<Array<number>>} [nodes, weights]
+ */
+const gaussLegendreCache = new Map();
+
+function gaussLegendre(n) {
+    if (gaussLegendreCache.has(n)) {
+        return gaussLegendreCache.get(n);
+    }
+    
+    const nodes = [];
+    const weights = [];
+    
+    for (let i = 1; i <= n; i++) {
+        // Initial guess followed by Newton iteration on P_n(z)
+        let z = Math.cos(Math.PI * (i - 0.25) / (n + 0.5));
+        let dp = 0;
+        
+        for (let iter = 0; iter < 100; iter++) {
+            let p1 = 1;
+            let p2 = 0;
+            for (let j = 1; j <= n; j++) {
+                const p3 = p2;
+                p2 = p1;
+                p1 = ((2 * j - 1) * z * p2 - (j - 1) * p3) / j;
+            }
+            dp = n * (z * p1 - p2) / (z * z - 1);
+            const z1 = z;
+            z = z1 - p1 / dp;
+            if (Math.abs(z - z1) < 1e-15) break;
+        }
+        
+        nodes.push(z);
+        weights.push(2 / ((1 - z * z) * dp * dp));
+    }
+    
+    const result = [nodes, weights];
+    gaussLegendreCache.set(n, result);
+    return result;
+}
 
 /**
- * Calculate demagnetization factor for rectangular prism
- * @param {number} a - Length dimension
- * @param {number} b - Width dimension
- * @param {number} c - Height dimension
- * @returns {number} Demagnetization factor along the specified axis
+ * Adaptive Gauss–Legendre quadrature of f over [a, b]
+ * Each interval is bisected until the 15-point rule on the whole interval
+ * agrees with the sum over its two halves
+ * @param {Function} f - Integrand
+ * @param {number} a - Lower limit
+ * @param {number} b - Upper limit
+ * @param {number} tolerance - Absolute error tolerance
+ * @returns {number} Integral estimate
  */
-function N_prism(a, b, c) {
+function adaptiveQuadrature(f, a, b, tolerance = 1e-13, maxDepth = 40) {
+    const [nodes, weights] = gaussLegendre(15);
+    
+    const rule = (lo, hi) => {
+        const half = 0.5 * (hi - lo);
+        const mid = 0.5 * (hi + lo);
+        let sum = 0;
+        for (let i = 0; i < nodes.length; i++) {
+            sum += weights[i] * f(mid + half * nodes[i]);
+        }
+        return sum * half;
+    };
+    
+    const refine = (lo, hi, whole, tol, depth) => {
+        const mid = 0.5 * (lo + hi);
+        const left = rule(lo, mid);
+        const right = rule(mid, hi);
+        if (depth >= maxDepth || Math.abs(left + right - whole) <= tol) {
+            return left + right;
+        }
+        return refine(lo, mid, left, 0.5 * tol, depth + 1) + refine(mid, hi, right, 0.5 * tol, depth + 1);
+    };
+    
+    const result = refine(a, b, rule(a, b), tolerance, 0);
+    
+    if (!isFinite(result)) {
+        throw new Error("Numerical integration resulted in non-finite value");
+    }
+    
+    return result;
+}
+
+/**
+ * Validate rectangular prism dimensions
+ */
+function validatePrismDimensions(a, b, c) {
     if (a <= 0 || b <= 0 || c <= 0) {
         throw new Error("All dimensions must be positive");
     }
@@ -189,6 +417,17 @@ function N_prism(a, b, c) {
     if (aspect_ratio > MAX_ASPECT_RATIO) {
         throw new Error(`Aspect ratio too extreme (>${MAX_ASPECT_RATIO}). Use thin film or infinite rod models instead.`);
     }
+}
+
+/**
+ * Calculate demagnetization factor for rectangular prism
+ * @param {number} a - Length dimension
+ * @param {number} b - Width dimension
+ * @param {number} c - Height dimension
+ * @returns {number} Demagnetization factor along the specified axis
+ */
+function N_prism(a, b, c) {
+    validatePrismDimensions(a, b, c);
     
     // Handle limiting cases analytically to avoid numerical issues
     // Very thin film case (one dimension much smaller than others)
@@ -280,12 +519,57 @@ function N_prism(a, b, c) {
 }
 
 /**
- * Calculate demagnetization factor for circular cylinder
- * @param {number} thickness - Cylinder thickness
- * @param {number} diameter - Cylinder diameter
- * @returns {number} Demagnetization factor along the thickness axis
+ * Calculate fluxmetric (ballistic) demagnetization factor for rectangular prism
+ * Field averaged over the mid-plane cross-section for χ = 0 (Chen, Pardo & Sanchez 2002).
+ * Closed form of the flux of one charged face a×b through the parallel mid-plane at h = c/2.
+ * @param {number} a - Length dimension
+ * @param {number} b - Width dimension
+ * @param {number} c - Height dimension
+ * @returns {number} Fluxmetric demagnetization factor along the c axis
  */
-function N_cylinder(thickness, diameter) {
+function N_prism_fluxmetric(a, b, c) {
+    validatePrismDimensions(a, b, c);
+    
+    // Limiting cases as in N_prism
+    if (c < 1e-6 * Math.max(a, b)) {
+        return 1.0; // Thin film limit
+    }
+    if (a < 1e-6 * Math.max(b, c) || b < 1e-6 * Math.max(a, c)) {
+        return 0.0; // Thin film magnetized in-plane
+    }
+    
+    // Long bar: expansion in (a/c)², avoids cancellation in the closed form
+    if (c > 100 * Math.max(a, b)) {
+        const a2 = a * a;
+        const b2 = b * b;
+        const c2 = c * c;
+        return (2 * a * b / (Math.PI * c2)) *
+            (1 - (a2 + b2) / c2 + (2 * (a2 * a2 + b2 * b2) + 5 * a2 * b2 / 3) / (c2 * c2));
+    }
+    
+    const h = 0.5 * c;
+    const r = Math.sqrt(a * a + b * b + h * h);
+    const r_a = Math.sqrt(a * a + h * h);
+    const r_b = Math.sqrt(b * b + h * h);
+    
+    const S = a * b * Math.atan2(a * b, h * r) +
+              a * h * Math.log((h * (a + r)) / ((a + r_a) * r_b)) +
+              b * h * Math.log((h * (b + r)) / ((b + r_b) * r_a)) -
+              h * (r - r_a - r_b + h);
+    
+    const result = (2 * S) / (Math.PI * a * b);
+    
+    if (!isFinite(result) || result < 0 || result > 1) {
+        throw new Error("Unphysical fluxmetric demagnetization factor calculated for prism");
+    }
+    
+    return result;
+}
+
+/**
+ * Validate cylinder dimensions and return the aspect ratio p = thickness / diameter
+ */
+function validateCylinderDimensions(thickness, diameter) {
     if (thickness <= 0 || diameter <= 0) {
         throw new Error("Thickness and diameter must be positive");
     }
@@ -310,37 +594,41 @@ function N_cylinder(thickness, diameter) {
         throw new Error(`Aspect ratio too extreme (>${MAX_ASPECT_RATIO}). Use thin film or infinite rod models instead.`);
     }
     
-    // Handle limiting cases analytically to avoid numerical issues
-    if (p < 1e-6) {
-        // Very thin disk: N_z ≈ 1 - (2t/πd) for t << d
-        return 1.0 - (2.0 * p / Math.PI);
-    }
+    return p;
+}
+
+/**
+ * Calculate magnetometric demagnetization factor for circular cylinder
+ * (volume-averaged, as used for energies and VSM/SQUID magnetometry)
+ * N_z = 1 + 4/(3πp) [1 - √(1+p²) ((1-p²)E(m) + p²K(m))], m = 1/(1+p²)
+ * @param {number} thickness - Cylinder thickness
+ * @param {number} diameter - Cylinder diameter
+ * @returns {number} Demagnetization factor along the thickness axis
+ */
+function N_cylinder(thickness, diameter) {
+    const p = validateCylinderDimensions(thickness, diameter);
     
-    if (p > 1e6) {
-        // Very long rod: N_z ≈ 0
-        return 0.0;
+    // Handle limiting cases with asymptotic expansions to avoid cancellation
+    if (p < 1e-4) {
+        // Thin disk: N_z ≈ 1 - (2p/π)[ln(4/p) - 1/2]
+        return 1.0 - (2.0 * p / Math.PI) * (Math.log(4.0 / p) - 0.5);
     }
     
-    // Normal calculation for reasonable aspect ratios
-    const k2 = 1.0 / (1.0 + 0.25 * p * p);
-    
-    // Check if k2 is in valid range for elliptic integrals
-    if (k2 <= 0 || k2 >= 1) {
-        throw new Error("Invalid parameter for elliptic integrals");
+    if (p > 1e3) {
+        // Long rod: N_z ≈ 4/(3πp) - 1/(8p²) + 1/(64p⁴)
+        return 4.0 / (3.0 * Math.PI * p) - 1.0 / (8.0 * p * p) + 1.0 / (64.0 * p * p * p * p);
     }
     
-    const k = Math.sqrt(k2);
+    const m = 1.0 / (1.0 + p * p);
     
     try {
-        const K = ellipticK(k2);
-        const E = ellipticE(k2);
-        
-        // Check for NaN or infinite results
-        if (!isFinite(K) || !isFinite(E)) {
-            throw new Error("Elliptic integral calculation failed");
-        }
+        // K - E = (m/3) R_D(0, 1-m, 1) avoids cancellation for long cylinders
+        const K = ellipticK(m);
+        const KminusE = (m / 3.0) * carlsonRD(0, 1 - m, 1);
+        const E = K - KminusE;
         
-        const result = 1.0 - (2.0 / Math.PI) * (p / k) * (K - E);
+        const result = 1.0 + (4.0 / (3.0 * Math.PI * p)) *
+            (1.0 - Math.sqrt(1.0 + p * p) * (E + p * p * KminusE));
         
         // Ensure result is physically meaningful (0 ≤ N_z ≤ 1)
         if (!isFinite(result) || result < 0 || result > 1) {
@@ -355,70 +643,850 @@ function N_cylinder(thickness, diameter) {
 }
 
 /**
- * Calculate demagnetization factors for sphere
- * @param {number} diameter - Sphere diameter
- * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors (all equal to 1/3)
+ * Calculate fluxmetric (ballistic) demagnetization factor for circular cylinder
+ * Field averaged over the mid-plane cross-section for χ = 0, as seen by a
+ * search coil at the sample centre (Joseph 1966; Chen, Brug & Goldfarb 1991)
+ * N_z = 1 - (2/π)(p/k)[K(k²) - E(k²)], k² = 1/(1 + p²/4)
+ * @param {number} thickness - Cylinder thickness
+ * @param {number} diameter - Cylinder diameter
+ * @returns {number} Fluxmetric demagnetization factor along the thickness axis
  */
-function N_sphere(diameter) {
-    if (diameter <= 0) {
-        throw new Error("Diameter must be positive");
+function N_cylinder_fluxmetric(thickness, diameter) {
+    const p = validateCylinderDimensions(thickness, diameter);
+    
+    // Handle limiting cases with asymptotic expansions to avoid cancellation
+    if (p < 1e-4) {
+        // Thin disk: N_z ≈ 1 - (2p/π)[ln(8/p) - 1]
+        return 1.0 - (2.0 * p / Math.PI) * (Math.log(8.0 / p) - 1.0);
     }
     
-    // For a perfect sphere, all demagnetization factors are equal to 1/3
-    const N = 1.0 / 3.0;
-    return [N, N, N];
+    if (p > 1e3) {
+        // Long rod: N_z ≈ 1/(2p²) - 3/(4p⁴)
+        return 1.0 / (2.0 * p * p) - 3.0 / (4.0 * p * p * p * p);
+    }
+    
+    const k2 = 1.0 / (1.0 + 0.25 * p * p);
+    const k = Math.sqrt(k2);
+    
+    try {
+        // K - E = (k²/3) R_D(0, 1-k², 1)
+        const KminusE = (k2 / 3.0) * carlsonRD(0, 1 - k2, 1);
+        const result = 1.0 - (2.0 / Math.PI) * (p / k) * KminusE;
+        
+        // Ensure result is physically meaningful (0 ≤ N_z ≤ 1)
+        if (!isFinite(result) || result < 0 || result > 1) {
+            throw new Error("Unphysical demagnetization factor calculated");
+        }
+        
+        return result;
+        
+    } catch (error) {
+        throw new Error(`Cylinder calculation failed: ${error.message}`);
+    }
 }
 
 /**
- * Calculate demagnetization factors for thin film
- * @param {number} thickness - Film thickness
- * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors for infinite thin film
+ * Calculate transverse fluxmetric demagnetization factor for circular cylinder
+ * Field averaged over the axial mid-plane section (x = 0) for magnetization along x.
+ * The surface charge M cosφ R dφ dz contributes its solid angle Ω subtended by the
+ * section; the z-integral of Ω is done in closed form, the φ-integral by Gauss–Legendre.
+ * @param {number} thickness - Cylinder thickness
+ * @param {number} diameter - Cylinder diameter
+ * @returns {number} Fluxmetric demagnetization factor perpendicular to the axis
  */
-function N_thin_film(thickness) {
-    if (thickness <= 0) {
-        throw new Error("Thickness must be positive");
+function N_cylinder_fluxmetric_transverse(thickness, diameter) {
+    validateCylinderDimensions(thickness, diameter);
+    
+    const L = thickness;
+    const R = diameter / 2;
+    
+    // ∫ Ω dz for a rectangle corner at (Y, Z) seen from distance d
+    const P = (Y, Z, d) => {
+        const r = Math.sqrt(d * d + Y * Y + Z * Z);
+        return Z * Math.atan((Y * Z) / (d * r)) - (d / 2) * Math.log((r - Y) / (r + Y));
+    };
+    
+    const [nodes, weights] = gaussLegendre(32);
+    const panels = 8;
+    const panelWidth = (Math.PI / 2) / panels;
+    let sum = 0;
+    
+    for (let j = 0; j < panels; j++) {
+        const center = (j + 0.5) * panelWidth;
+        for (let i = 0; i < nodes.length; i++) {
+            const phi = center + 0.5 * panelWidth * nodes[i];
+            const d = R * Math.cos(phi);
+            const sinPhi = Math.sin(phi);
+            const Y2 = R * (1 - sinPhi);
+            const Y1 = -R * (1 + sinPhi);
+            const omegaIntegral = (P(Y2, L, d) - P(Y2, 0, d)) - (P(Y1, L, d) - P(Y1, 0, d));
+            sum += 0.5 * panelWidth * weights[i] * Math.cos(phi) * omegaIntegral;
+        }
     }
     
-    // For an infinite thin film (thickness << lateral dimensions)
-    // All demagnetization is out-of-plane
-    const N_z = 1.0;  // Out-of-plane (through thickness)
-    const N_x = 0.0;  // In-plane
-    const N_y = 0.0;  // In-plane
+    // N = (1/4πL) ∫cosφ ∫Ω dz dφ; the factor 4 accounts for the ±φ symmetry
+    // and for the two equal halves of the z-integral of Ω
+    const result = (4 * sum) / (4 * Math.PI * L);
     
-    return [N_x, N_y, N_z];
+    if (!isFinite(result) || result < 0 || result > 1) {
+        throw new Error("Unphysical transverse demagnetization factor calculated for cylinder");
+    }
+    
+    return result;
 }
 
 /**
- * Calculate demagnetization factors for infinite rod
- * @param {number} diameter - Rod diameter (cross-sectional dimension)
- * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors for infinite rod
+ * Calculate all three demagnetization factors for a circular cylinder
+ * @param {number} thickness - Cylinder thickness (z-axis)
+ * @param {number} diameter - Cylinder diameter
+ * @param {string} convention - 'magnetometric' (default) or 'fluxmetric'
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
  */
-function N_infinite_rod(diameter) {
-    if (diameter <= 0) {
-        throw new Error("Diameter must be positive");
+function cylinder_factors(thickness, diameter, convention = 'magnetometric') {
+    if (convention === 'fluxmetric') {
+        const N_z = N_cylinder_fluxmetric(thickness, diameter);
+        const N_x = N_cylinder_fluxmetric_transverse(thickness, diameter);
+        return [N_x, N_x, N_z];
     }
     
-    // For an infinite rod (length >> diameter)
-    // No demagnetization along the rod axis, equal demagnetization perpendicular to it
-    const N_z = 0.0;  // Along rod axis (infinite length direction)
-    const N_x = 0.5;  // Perpendicular to rod axis  
-    const N_y = 0.5;  // Perpendicular to rod axis
-    
-    return [N_x, N_y, N_z];
+    const N_z = N_cylinder(thickness, diameter);
+    const N_x = (1 - N_z) / 2;               // magnetometric factors sum to 1
+    return [N_x, N_x, N_z];
 }
 
 /**
- * Calculate all three demagnetization factors for a rectangular prism
- * @param {number} a - Length dimension
- * @param {number} b - Width dimension  
- * @param {number} c - Height dimension
- * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
+ * Laplace transform of a Bessel product, the interaction of coaxial unit rings:
+ * G(a,b,c) = ∫[0 to ∞] J₁(ak) J₁(bk) e^{-ck} dk = [(2-m)K(m) - 2E(m)] / (π√(abm)),
+ * m = 4ab / ((a+b)² + c²)
  */
-function demag_factors(a, b, c) {
-    const N_z = N_prism(a, b, c);          // axis along c
-    const N_x = N_prism(b, c, a);          // rotate: (a,b,c) -> (b,c,a)
-    const N_y = 1.0 - N_x - N_z;           // ensure exact sum = 1.0
-    return [N_x, N_y, N_z];
+function besselProductLaplace(a, b, c) {
+    const m = (4 * a * b) / ((a + b) * (a + b) + c * c);
+    
+    let f;
+    if (m < 0.1) {
+        // (2-m)K - 2E = (π/2) Σ[n≥2] c_{n-1} (n-1)/n mⁿ, c_n = ((2n)!/(4ⁿ n!²))²
+        let coefficient = 1;   // c_{n-1}
+        let power = m;         // m^{n-1}
+        f = 0;
+        for (let n = 2; n < 60; n++) {
+            coefficient *= Math.pow((2 * n - 3) / (2 * n - 2), 2);
+            power *= m;
+            const term = coefficient * ((n - 1) / n) * power;
+            f += term;
+            if (term < 1e-17 * f) break;
+        }
+        f *= Math.PI / 2;
+    } else {
+        // (2-m)K - 2E = m[(2/3) R_D(0, 1-m, 1) - R_F(0, 1-m, 1)]
+        f = m * ((2 / 3) * carlsonRD(0, 1 - m, 1) - carlsonRF(0, 1 - m, 1));
+    }
+    
+    return f / (Math.PI * Math.sqrt(a * b * m));
+}
+
+/**
+ * Calculate axial demagnetization factor for hollow cylinder (ring / nanoring)
+ * The end-face annuli are split into outer and inner disks, so
+ * N_z = [R² N(R) + r² N(r) - (4Rr/L) J] / (R² - r²),
+ * where N(R), N(r) are the cylinder factors and the disk–disk cross term is
+ * J = ∫[0 to ∞] J₁(kR) J₁(kr)(1 - e^{-kL}) / k² dk = ∫[0 to L] s G(s) ds + L ∫[L to ∞] G(s) ds
+ * @param {number} thickness - Ring thickness (along the axis)
+ * @param {number} outerDiameter - Outer diameter
+ * @param {number} innerDiameter - Inner diameter (0 gives a solid cylinder)
+ * @returns {number} Demagnetization factor along the ring axis
+ */
+function N_ring(thickness, outerDiameter, innerDiameter) {
+    if (innerDiameter < 0) {
+        throw new Error("Inner diameter must be non-negative");
+    }
+    
+    if (innerDiameter >= outerDiameter) {
+        throw new Error("Inner diameter must be smaller than outer diameter");
+    }
+    
+    // A ring without a hole is a solid cylinder
+    if (innerDiameter === 0) {
+        return N_cylinder(thickness, outerDiameter);
+    }
+    
+    const L = thickness;
+    const R = outerDiameter / 2;
+    const r = innerDiameter / 2;
+    
+    const N_outer = N_cylinder(thickness, outerDiameter);
+    const N_inner = N_cylinder(thickness, innerDiameter);
+    
+    try {
+        const G = (s) => besselProductLaplace(R, r, s);
+        
+        // ∫[L to ∞] G ds with s = L + R x/(1-x); G ~ s⁻³ so the integrand vanishes at x = 1
+        const tail = adaptiveQuadrature((x) => {
+            const u = 1 - x;
+            return u > 0 ? G(L + R * x / u) * R / (u * u) : 0;
+        }, 0, 1, 1e-14 * R);
+        const near = adaptiveQuadrature((s) => s * G(s), 0, L, 1e-14 * R * L);
+        const J = near + L * tail;
+        
+        const result = (R * R * N_outer + r * r * N_inner - (4 * R * r / L) * J) / (R * R - r * r);
+        
+        // Ensure result is physically meaningful (0 ≤ N_z ≤ 1)
+        if (!isFinite(result) || result < -1e-12 || result > 1) {
+            throw new Error("Unphysical demagnetization factor calculated");
+        }
+        
+        return Math.max(result, 0);
+        
+    } catch (error) {
+        throw new Error(`Ring calculation failed: ${error.message}`);
+    }
+}
+
+/**
+ * Calculate all three demagnetization factors for a hollow cylinder
+ * @param {number} thickness - Ring thickness (z-axis)
+ * @param {number} outerDiameter - Outer diameter
+ * @param {number} innerDiameter - Inner diameter
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
+ */
+function ring_factors(thickness, outerDiameter, innerDiameter) {
+    const N_z = N_ring(thickness, outerDiameter, innerDiameter);
+    const N_r = (1 - N_z) / 2;               // radial factors from the trace N_x + N_y + N_z = 1
+    return [N_r, N_r, N_z];
+}
+
+/**
+ * Calculate demagnetization factors for elliptical cylinder (elliptical MTJ pillar)
+ * In Fourier space the ellipse is an affinely stretched disk, so each in-plane
+ * wavevector direction ψ contributes a circular-cylinder factor of diameter 2ρ(ψ):
+ * N_z = (ab/2π) ∫ N(L, 2ρ)/ρ² dψ,  N_x = (ab/2π) ∫ cos²ψ [1 - N(L, 2ρ)]/ρ² dψ,
+ * ρ(ψ)² = a² cos²ψ + b² sin²ψ (a, b semi-axes). The integrands are smooth and
+ * periodic, so the trapezoidal rule converges exponentially.
+ * @param {number} thickness - Pillar thickness (z-axis)
+ * @param {number} majorAxis - Major axis length (x-axis)
+ * @param {number} minorAxis - Minor axis length (y-axis)
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
+ */
+function elliptic_cylinder_factors(thickness, majorAxis, minorAxis) {
+    if (minorAxis > majorAxis) {
+        throw new Error("Minor axis cannot exceed major axis");
+    }
+
+    validateCylinderDimensions(thickness, minorAxis);
+    validateCylinderDimensions(thickness, majorAxis);
+
+    // A circular cross-section needs no angular integral
+    if (majorAxis === minorAxis) {
+        return cylinder_factors(thickness, majorAxis);
+    }
+
+    const a = majorAxis / 2;
+    const b = minorAxis / 2;
+
+    // Returns [z, x, y] contributions of direction ψ with the ab/(2π) weight applied
+    const terms = (psi) => {
+        const c2 = Math.cos(psi) ** 2;
+        const s2 = 1 - c2;
+        const rho2 = a * a * c2 + b * b * s2;
+        const N = N_cylinder(thickness, 2 * Math.sqrt(rho2));
+        const w = a * b / (2 * Math.PI * rho2);
+        return [w * N, w * c2 * (1 - N), w * s2 * (1 - N)];
+    };
+
+    try {
+        // Trapezoid over the quarter period [0, π/2], mirrored to the full circle;
+        // halve the step until the factors stop changing
+        const MAX_INTERVALS = 1 << 14;
+        const ends = [terms(0), terms(Math.PI / 2)];
+        const sum = [0, 1, 2].map(i => (ends[0][i] + ends[1][i]) / 2);
+        let intervals = 1;
+        let previous = null;
+
+        while (true) {
+            const h = (Math.PI / 2) / (2 * intervals);
+            for (let j = 1; j < 2 * intervals; j += 2) {
+                const t = terms(j * h);
+                for (let i = 0; i < 3; i++) sum[i] += t[i];
+            }
+            intervals *= 2;
+
+            const current = sum.map(s => 4 * s * h);
+            if (previous && intervals >= 8 && current.every((value, i) => Math.abs(value - previous[i]) < 1e-14)) {
+                const [N_z, N_x, N_y] = current;
+                return [N_x, N_y, N_z];
+            }
+            if (intervals >= MAX_INTERVALS) {
+                throw new Error("Angular integral did not converge");
+            }
+            previous = current;
+        }
+
+    } catch (error) {
+        throw new Error(`Elliptical cylinder calculation failed: ${error.message}`);
+    }
+}
+
+/**
+ * Vertices of a regular polygon centred on the origin, counter-clockwise, with one edge along x at the bottom
+ * @param {number} sides - Number of sides
+ * @param {number} sideLength - Edge length
+ * @returns {Array<Array<number>>} Vertices [x, y]
+ */
+function regular_polygon(sides, sideLength) {
+    const R = sideLength / (2 * Math.sin(Math.PI / sides));
+    const start = -Math.PI / 2 - Math.PI / sides;
+    return Array.from({ length: sides }, (_, k) => {
+        const angle = start + 2 * Math.PI * k / sides;
+        return [R * Math.cos(angle), R * Math.sin(angle)];
+    });
+}
+
+/**
+ * Calculate demagnetization factors for a flat prism with a regular polygon cross-section
+ * Magnetized in-plane, the charges sit on the side faces, σ = M·n. Integrating the Coulomb kernel
+ * through the thickness t gives, for two points of the outline a distance d apart,
+ * F(d) = 2[t·asinh(t/d) − √(t² + d²) + d], and summing over both in-plane directions (n_i·n_j = cos θ_ij):
+ * N_x + N_y = 1/(4πV) Σ_ij cos θ_ij ∫_i∫_j F(|s − s'|) ds ds'.
+ * The N-fold rotation axis makes the in-plane tensor isotropic for N ≥ 3, so N_x = N_y, N_z = 1 − 2N_x,
+ * and by symmetry only the edge pairs (0, j), j ≤ N/2, need integrating.
+ * @param {number} sides - Number of sides (3–128)
+ * @param {number} sideLength - Edge length
+ * @param {number} thickness - Prism thickness (z-axis)
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
+ */
+function polygon_prism_factors(sides, sideLength, thickness) {
+    if (!Number.isInteger(sides) || sides < 3 || sides > 128) {
+        throw new Error("Number of sides must be a whole number between 3 and 128");
+    }
+
+    // Same bounds as a cylinder of the circumscribed diameter
+    validateCylinderDimensions(thickness, sideLength / Math.sin(Math.PI / sides));
+
+    // A square cross-section is the rectangular prism, which has a closed form
+    if (sides === 4) {
+        return demag_factors(sideLength, sideLength, thickness);
+    }
+
+    const s = sideLength;
+    const t = thickness;
+    const vertices = regular_polygon(sides, s);
+    const edge = (j) => {
+        const [x1, y1] = vertices[j];
+        const [x2, y2] = vertices[(j + 1) % sides];
+        return { x: x1, y: y1, ux: (x2 - x1) / s, uy: (y2 - y1) / s };
+    };
+    const F = (d) => 2 * (t * Math.asinh(t / d) - Math.sqrt(t * t + d * d) + d);
+    const tolerance = 1e-10 * s * s * t;
+
+    try {
+        // Edge with itself: ∫∫ F(|s − s'|) = 2∫ (s − u) F(u) du, split where F stops varying on the scale t
+        const selfTerm = (u) => (s - u) * F(u);
+        const split = Math.min(t, s);
+        let sum = 2 * (adaptiveQuadrature(selfTerm, 0, split, tolerance) +
+            (split < s ? adaptiveQuadrature(selfTerm, split, s, tolerance) : 0));
+
+        const first = edge(0);
+        for (let j = 1; 2 * j <= sides; j++) {
+            const other = edge(j);
+            const pair = adaptiveQuadrature((l) => {
+                const px = first.x + l * first.ux - other.x;
+                const py = first.y + l * first.uy - other.y;
+                return adaptiveQuadrature((m) => F(Math.hypot(px - m * other.ux, py - m * other.uy)), 0, s, tolerance / s);
+            }, 0, s, tolerance);
+            // Edges j and N − j are mirror images; the opposite edge of an even polygon appears once
+            sum += (2 * j === sides ? 1 : 2) * Math.cos(2 * Math.PI * j / sides) * pair;
+        }
+
+        const area = sides * s * s / (4 * Math.tan(Math.PI / sides));
+        const N_r = sides * sum / (8 * Math.PI * area * t);
+        const N_z = 1 - 2 * N_r;
+
+        if (!isFinite(N_z) || N_z < 0 || N_z > 1) {
+            throw new Error("Unphysical demagnetization factor calculated");
+        }
+
+        return [N_r, N_r, N_z];
+
+    } catch (error) {
+        throw new Error(`Polygonal prism calculation failed: ${error.message}`);
+    }
+}
+
+/**
+ * Calculate demagnetization factors for sphere
+ * @param {number} diameter - Sphere diameter
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors (all equal to 1/3)
+ */
+function N_sphere(diameter) {
+    if (diameter <= 0) {
+        throw new Error("Diameter must be positive");
+    }
+    
+    // For a perfect sphere, all demagnetization factors are equal to 1/3
+    const N = 1.0 / 3.0;
+    return [N, N, N];
+}
+
+/**
+ * Calculate demagnetization factors for general ellipsoid
+ * Osborn (1945) / Stoner (1945) formulas in terms of incomplete elliptic integrals
+ * @param {number} a - Semi-axis along x
+ * @param {number} b - Semi-axis along y
+ * @param {number} c - Semi-axis along z
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
+ */
+function N_ellipsoid(a, b, c) {
+    if (a <= 0 || b <= 0 || c <= 0) {
+        throw new Error("All semi-axes must be positive");
+    }
+
+    // Add reasonable bounds checking to prevent numerical instability
+    const MIN_DIMENSION = 0.01; // 0.01 nm minimum
+    const MAX_DIMENSION = 1000000; // 1 mm maximum
+    const MAX_ASPECT_RATIO = 10000000; // Maximum aspect ratio (10 million)
+
+    if (a < MIN_DIMENSION || b < MIN_DIMENSION || c < MIN_DIMENSION) {
+        throw new Error(`Dimensions must be at least ${MIN_DIMENSION} nm`);
+    }
+
+    if (a > MAX_DIMENSION || b > MAX_DIMENSION || c > MAX_DIMENSION) {
+        throw new Error(`Dimensions must be less than ${MAX_DIMENSION} nm`);
+    }
+
+    // Sort semi-axes so that s1 ≥ s2 ≥ s3, remembering the original axis of each
+    const axes = [
+        { index: 0, value: a },
+        { index: 1, value: b },
+        { index: 2, value: c }
+    ].sort((p, q) => q.value - p.value);
+
+    const s1 = axes[0].value;
+    const s2 = axes[1].value;
+    const s3 = axes[2].value;
+
+    if (s1 / s3 > MAX_ASPECT_RATIO) {
+        throw new Error(`Aspect ratio too extreme (>${MAX_ASPECT_RATIO}). Use thin film or infinite rod models instead.`);
+    }
+
+    // Relative tolerance for treating two semi-axes as equal (spheroid limits).
+    // Below ~1e-8 the triaxial formulas lose precision to cancellation in (s1² - s2²)
+    const SPHEROID_TOLERANCE = 1e-8;
+    const equal12 = (s1 - s2) / s1 < SPHEROID_TOLERANCE;
+    const equal23 = (s2 - s3) / s1 < SPHEROID_TOLERANCE;
+
+    let N1, N2, N3;
+
+    if (equal12 && equal23) {
+        // Sphere
+        N1 = N2 = N3 = 1.0 / 3.0;
+    } else if (equal12) {
+        // Oblate spheroid (s1 = s2 > s3): N_3 = (1/e²)[1 - √(1-e²) arcsin(e)/e]
+        const e = Math.sqrt(1 - (s3 * s3) / (s1 * s1));
+        N3 = (1 - Math.sqrt(1 - e * e) * Math.asin(e) / e) / (e * e);
+        N1 = N2 = (1 - N3) / 2;
+    } else if (equal23) {
+        // Prolate spheroid (s1 > s2 = s3): N_1 = ((1-e²)/e³)[artanh(e) - e]
+        const e = Math.sqrt(1 - (s3 * s3) / (s1 * s1));
+        N1 = ((1 - e * e) / (e * e * e)) * (Math.atanh(e) - e);
+        N2 = N3 = (1 - N1) / 2;
+    } else {
+        // General triaxial ellipsoid
+        const s1_2 = s1 * s1;
+        const s2_2 = s2 * s2;
+        const s3_2 = s3 * s3;
+        const r13 = Math.sqrt(s1_2 - s3_2);
+        const theta = Math.acos(s3 / s1);
+        const k = Math.sqrt((s1_2 - s2_2) / (s1_2 - s3_2));
+
+        const F = ellipticFInc(k, theta);
+        const E = ellipticEInc(k, theta);
+        const abc = s1 * s2 * s3;
+
+        N1 = (abc / ((s1_2 - s2_2) * r13)) * (F - E);
+        N3 = (abc / ((s2_2 - s3_2) * r13)) * ((s2 * r13) / (s1 * s3) - E);
+        N2 = 1.0 - N1 - N3; // ensure exact sum = 1.0
+    }
+
+    const sorted = [N1, N2, N3];
+    for (const N of sorted) {
+        if (!isFinite(N) || N < 0 || N > 1) {
+            throw new Error("Unphysical demagnetization factor calculated for ellipsoid");
+        }
+    }
+
+    // Map the factors back onto the x, y, z axes
+    const result = [0, 0, 0];
+    axes.forEach((axis, i) => {
+        result[axis.index] = sorted[i];
+    });
+
+    return result;
+}
+
+/**
+ * Calculate demagnetization factors for thin film of finite lateral size
+ * Rectangular films are flat prisms, circular films are flat cylinders; without
+ * lateral dimensions the ideal infinite-film limit (0, 0, 1) is returned
+ * @param {number} thickness - Film thickness (z-axis)
+ * @param {number} width - Film width (y-axis), or diameter for circular films
+ * @param {number} length - Film length (x-axis), ignored for circular films
+ * @param {string} shape - 'rectangular' or 'circular'
+ * @param {string} convention - 'magnetometric' (default) or 'fluxmetric'
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
+ */
+function N_thin_film(thickness, width = Infinity, length = width, shape = 'rectangular', convention = 'magnetometric') {
+    if (thickness <= 0) {
+        throw new Error("Thickness must be positive");
+    }
+    
+    if (width <= 0 || length <= 0) {
+        throw new Error("Lateral dimensions must be positive");
+    }
+    
+    // For an infinite thin film (thickness << lateral dimensions)
+    // All demagnetization is out-of-plane
+    if (!isFinite(width) || (shape === 'rectangular' && !isFinite(length))) {
+        return [0.0, 0.0, 1.0];
+    }
+    
+    if (shape === 'circular') {
+        return cylinder_factors(thickness, width, convention);
+    }
+    
+    return demag_factors(length, width, thickness, convention);
+}
+
+/**
+ * Calculate demagnetization factors for infinite rod
+ * @param {number} diameter - Rod diameter (cross-sectional dimension)
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors for infinite rod
+ */
+function N_infinite_rod(diameter) {
+    if (diameter <= 0) {
+        throw new Error("Diameter must be positive");
+    }
+    
+    // For an infinite rod (length >> diameter)
+    // No demagnetization along the rod axis, equal demagnetization perpendicular to it
+    const N_z = 0.0;  // Along rod axis (infinite length direction)
+    const N_x = 0.5;  // Perpendicular to rod axis  
+    const N_y = 0.5;  // Perpendicular to rod axis
+    
+    return [N_x, N_y, N_z];
+}
+
+/**
+ * Calculate demagnetization factors for finite-length nanowire
+ * Circular wires are long cylinders, square wires are long square prisms;
+ * both converge to the infinite-rod limit (0.5, 0.5, 0) as length → ∞
+ * @param {number} length - Wire length (z-axis)
+ * @param {number} diameter - Wire diameter, or side length for square wires
+ * @param {string} crossSection - 'circular' or 'square'
+ * @param {string} convention - 'magnetometric' (default) or 'fluxmetric'
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
+ */
+function nanowire_factors(length, diameter, crossSection = 'circular', convention = 'magnetometric') {
+    if (crossSection === 'square') {
+        return demag_factors(diameter, diameter, length, convention);
+    }
+    return cylinder_factors(length, diameter, convention);
+}
+
+/**
+ * Find the wire length at which the axial (magnetometric) factor drops to a threshold
+ * N_z decreases monotonically with length, so bisection on log(length) is robust
+ * @param {number} diameter - Wire diameter, or side length for square wires
+ * @param {number} threshold - Target N_z, 0 < threshold < 1
+ * @param {string} crossSection - 'circular' or 'square'
+ * @returns {number} Minimum length for N_z ≤ threshold (Infinity beyond 1 mm)
+ */
+function nanowire_length_for_Nz(diameter, threshold, crossSection = 'circular') {
+    if (diameter <= 0) {
+        throw new Error("Diameter must be positive");
+    }
+    
+    if (!(threshold > 0 && threshold < 1)) {
+        throw new Error("Threshold must be between 0 and 1");
+    }
+    
+    const MIN_LENGTH = Math.max(0.01, diameter / 1000);
+    const MAX_LENGTH = 1000000; // 1 mm, the largest dimension the prism/cylinder formulas accept
+    const axial = (length) => nanowire_factors(length, diameter, crossSection)[2];
+    
+    if (axial(MAX_LENGTH) > threshold) {
+        return Infinity;
+    }
+    
+    if (axial(MIN_LENGTH) <= threshold) {
+        return MIN_LENGTH;
+    }
+    
+    let low = Math.log(MIN_LENGTH);
+    let high = Math.log(MAX_LENGTH);
+    
+    for (let i = 0; i < 100 && high - low > 1e-12; i++) {
+        const mid = 0.5 * (low + high);
+        if (axial(Math.exp(mid)) > threshold) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    
+    return Math.exp(high);
+}
+
+/**
+ * Calculate all three demagnetization factors for a rectangular prism
+ * @param {number} a - Length dimension
+ * @param {number} b - Width dimension  
+ * @param {number} c - Height dimension
+ * @param {string} convention - 'magnetometric' (default) or 'fluxmetric'
+ * @returns {Array<number>} [N_x, N_y, N_z] demagnetization factors
+ */
+function demag_factors(a, b, c, convention = 'magnetometric') {
+    if (convention === 'fluxmetric') {
+        // Fluxmetric factors do not sum to 1; each axis is computed separately
+        return [
+            N_prism_fluxmetric(b, c, a),
+            N_prism_fluxmetric(c, a, b),
+            N_prism_fluxmetric(a, b, c)
+        ];
+    }
+    
+    const N_z = N_prism(a, b, c);          // axis along c
+    const N_x = N_prism(b, c, a);          // rotate: (a,b,c) -> (b,c,a)
+    const N_y = 1.0 - N_x - N_z;           // ensure exact sum = 1.0
+    return [N_x, N_y, N_z];
+}
+
+/**
+ * Rotation matrix for intrinsic z-y′-z″ Euler angles, R = Rz(α)·Ry(β)·Rz(γ)
+ * Columns are the body axes (prism a, b, c) expressed in the lab frame; β tilts c away from lab z
+ * @param {number} alpha - First rotation about z [degrees]
+ * @param {number} beta - Tilt about the new y axis [degrees]
+ * @param {number} gamma - Final rotation about the body z axis [degrees]
+ * @returns {Array<Array<number>>} 3×3 rotation matrix (rows)
+ */
+function euler_rotation(alpha, beta, gamma) {
+    const [ca, sa] = [Math.cos(alpha * Math.PI / 180), Math.sin(alpha * Math.PI / 180)];
+    const [cb, sb] = [Math.cos(beta * Math.PI / 180), Math.sin(beta * Math.PI / 180)];
+    const [cg, sg] = [Math.cos(gamma * Math.PI / 180), Math.sin(gamma * Math.PI / 180)];
+    return [
+        [ca * cb * cg - sa * sg, -ca * cb * sg - sa * cg, ca * sb],
+        [sa * cb * cg + ca * sg, -sa * cb * sg + ca * cg, sa * sb],
+        [-sb * cg, sb * sg, cb]
+    ];
+}
+
+/**
+ * Lab-frame tensor of diagonal body-frame factors, N_lab = R·diag(N)·Rᵀ
+ * @param {Array<number>} factors - [N_x, N_y, N_z] along the body axes
+ * @param {Array<Array<number>>} R - Rotation matrix from euler_rotation
+ * @returns {Array<Array<number>>} Symmetric 3×3 tensor
+ */
+function rotate_factors(factors, R) {
+    return R.map((row_i) => R.map((row_j) =>
+        factors.reduce((sum, N_k, k) => sum + row_i[k] * N_k * row_j[k], 0)));
+}
+
+/**
+ * Eigen-decomposition of a symmetric 3×3 matrix (cyclic Jacobi rotations)
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {{values: Array<number>, vectors: Array<Array<number>>}} Eigenvalues in ascending order and the
+ *   matching unit eigenvectors, each with its largest component positive
+ */
+function symmetric_eigen(matrix) {
+    const A = matrix.map(row => [...row]);
+    const V = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const offDiagonal = Math.abs(A[0][1]) + Math.abs(A[0][2]) + Math.abs(A[1][2]);
+        if (offDiagonal < 1e-15) break;
+
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            if (Math.abs(A[p][q]) < 1e-300) continue;
+
+            // Rotation angle that zeroes A[p][q]
+            const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+
+            for (let k = 0; k < 3; k++) {
+                const [a_kp, a_kq] = [A[k][p], A[k][q]];
+                A[k][p] = c * a_kp - s * a_kq;
+                A[k][q] = s * a_kp + c * a_kq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const [a_pk, a_qk] = [A[p][k], A[q][k]];
+                A[p][k] = c * a_pk - s * a_qk;
+                A[q][k] = s * a_pk + c * a_qk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const [v_kp, v_kq] = [V[k][p], V[k][q]];
+                V[k][p] = c * v_kp - s * v_kq;
+                V[k][q] = s * v_kp + c * v_kq;
+            }
+        }
+    }
+
+    const pairs = [0, 1, 2].map(i => {
+        const vector = V.map(row => row[i]);
+        const largest = vector.reduce((best, x) => Math.abs(x) > Math.abs(best) ? x : best, 0);
+        return { value: A[i][i], vector: vector.map(x => (largest < 0 ? -x : x) + 0) };
+    }).sort((a, b) => a.value - b.value);
+
+    return { values: pairs.map(pair => pair.value), vectors: pairs.map(pair => pair.vector) };
+}
+
+/**
+ * Full demagnetization tensor of a rectangular prism rotated relative to the lab frame
+ * @param {number} a - Length along the body x axis
+ * @param {number} b - Width along the body y axis
+ * @param {number} c - Height along the body z axis
+ * @param {Array<number>} euler - [α, β, γ] z-y′-z″ Euler angles in degrees (default no rotation)
+ * @returns {Array<Array<number>>} Symmetric 3×3 tensor in the lab frame (trace 1)
+ */
+function demag_tensor(a, b, c, euler = [0, 0, 0]) {
+    return rotate_factors(demag_factors(a, b, c), euler_rotation(...euler));
+}
+
+/**
+ * Newell's f function (diagonal terms); even in x, y and z
+ * A. J. Newell, W. Williams, D. J. Dunlop, J. Geophys. Res. 98, 9551–9555 (1993)
+ */
+function newell_f(x, y, z) {
+    [x, y, z] = [Math.abs(x), Math.abs(y), Math.abs(z)];
+    const [x2, y2, z2] = [x * x, y * y, z * z];
+    const R = Math.sqrt(x2 + y2 + z2);
+    if (R === 0) return 0;
+
+    let result = (2 * x2 - y2 - z2) * R / 6;
+    if (x2 + z2 > 0) result += y / 2 * (z2 - x2) * Math.asinh(y / Math.sqrt(x2 + z2));
+    if (x2 + y2 > 0) result += z / 2 * (y2 - x2) * Math.asinh(z / Math.sqrt(x2 + y2));
+    if (x > 0) result -= x * y * z * Math.atan(y * z / (x * R));
+    return result;
+}
+
+/**
+ * Newell's g function (off-diagonal terms); odd in x and y, even in z
+ */
+function newell_g(x, y, z) {
+    const sign = Math.sign(x) * Math.sign(y);
+    if (sign === 0) return 0;
+    [x, y, z] = [Math.abs(x), Math.abs(y), Math.abs(z)];
+    const [x2, y2, z2] = [x * x, y * y, z * z];
+    const R = Math.sqrt(x2 + y2 + z2);
+
+    let result = -x * y * R / 3;
+    result += x * y * z * Math.asinh(z / Math.sqrt(x2 + y2));
+    result += y / 6 * (3 * z2 - y2) * Math.asinh(x / Math.sqrt(y2 + z2));
+    result += x / 6 * (3 * z2 - x2) * Math.asinh(y / Math.sqrt(x2 + z2));
+    if (z > 0) {
+        result -= z * z2 / 6 * Math.atan(x * y / (z * R));
+        result -= z * y2 / 2 * Math.atan(x * z / (y * R));
+        result -= z * x2 / 2 * Math.atan(y * z / (x * R));
+    }
+    return sign * result;
+}
+
+// Newell's 27-point second difference of f or g over the cell sizes, divided by 4π·volume
+function newell_stencil(fn, X, Y, Z, dx, dy, dz) {
+    const weight = [-1, 2, -1];
+    let sum = 0;
+    for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) {
+            for (let k = -1; k <= 1; k++) {
+                sum += weight[i + 1] * weight[j + 1] * weight[k + 1] * fn(X + i * dx, Y + j * dy, Z + k * dz);
+            }
+        }
+    }
+    return sum / (4 * Math.PI * dx * dy * dz);
+}
+
+/**
+ * Mutual demagnetization tensor between two identical, aligned rectangular prisms (Newell f/g functions)
+ * Field in prism 1 averaged over its volume: H = −N·M₂, with prism 2 displaced by (X, Y, Z)
+ * Beyond 20 prism sizes the point-dipole limit is used, where the differences lose precision
+ * @param {number} a - Prism size along x
+ * @param {number} b - Prism size along y
+ * @param {number} c - Prism size along z
+ * @param {Array<number>} offset - Center-to-center displacement [X, Y, Z] (same unit as a, b, c)
+ * @returns {Array<Array<number>>} Symmetric 3×3 tensor (trace 0 for non-overlapping prisms)
+ */
+function prism_mutual_tensor(a, b, c, [X, Y, Z]) {
+    const r = Math.sqrt(X * X + Y * Y + Z * Z);
+
+    if (r > 20 * Math.max(a, b, c)) {
+        // Point dipoles: N = V/(4πr³)·(I − 3 r̂r̂)
+        const scale = a * b * c / (4 * Math.PI * r ** 3);
+        const unit = [X / r, Y / r, Z / r];
+        return unit.map((u_i, i) => unit.map((u_j, j) => scale * ((i === j ? 1 : 0) - 3 * u_i * u_j)));
+    }
+
+    // N_xy from g; the other entries permute the axes of f and g
+    const N_xx = newell_stencil(newell_f, X, Y, Z, a, b, c);
+    const N_yy = newell_stencil((y, x, z) => newell_f(x, y, z), X, Y, Z, a, b, c);
+    const N_zz = newell_stencil((z, y, x) => newell_f(x, y, z), X, Y, Z, a, b, c);
+    const N_xy = newell_stencil(newell_g, X, Y, Z, a, b, c);
+    const N_xz = newell_stencil((x, z, y) => newell_g(x, y, z), X, Y, Z, a, b, c);
+    const N_yz = newell_stencil((z, x, y) => newell_g(x, y, z), X, Y, Z, a, b, c);
+
+    return [
+        [N_xx, N_xy, N_xz],
+        [N_xy, N_yy, N_yz],
+        [N_xz, N_yz, N_zz]
+    ];
+}
+
+/**
+ * Volume-averaged demagnetization tensor of a shape built from identical rectangular cells (voxels)
+ * N = (1/n)·Σ_i Σ_j N_mutual(r_j − r_i), with the self term N_mutual(0) = prism factors of one cell.
+ * Pairs are grouped by displacement, and N_mutual(−r) = N_mutual(r), so each displacement is evaluated once.
+ * @param {Uint8Array} cells - Occupancy indexed x + nx·(y + ny·z)
+ * @param {Array<number>} grid - Grid size [nx, ny, nz]
+ * @param {Array<number>} cellSize - Cell size [dx, dy, dz]
+ * @returns {Array<Array<number>>} Symmetric 3×3 tensor with trace 1
+ */
+function voxel_tensor(cells, [nx, ny, nz], [dx, dy, dz]) {
+    const filled = [];
+    for (let index = 0; index < cells.length; index++) {
+        if (cells[index]) {
+            filled.push([index % nx, Math.floor(index / nx) % ny, Math.floor(index / (nx * ny))]);
+        }
+    }
+
+    // Pair counts per displacement, folded onto the half with the first non-zero component positive
+    const [sx, sy] = [2 * nx - 1, 2 * ny - 1];
+    const counts = new Uint32Array(sx * sy * (2 * nz - 1));
+    for (let p = 0; p < filled.length; p++) {
+        const [x1, y1, z1] = filled[p];
+        for (let q = p + 1; q < filled.length; q++) {
+            let [i, j, k] = [filled[q][0] - x1, filled[q][1] - y1, filled[q][2] - z1];
+            if (k < 0 || (k === 0 && (j < 0 || (j === 0 && i < 0)))) {
+                [i, j, k] = [-i, -j, -k];
+            }
+            counts[(i + nx - 1) + sx * ((j + ny - 1) + sy * (k + nz - 1))]++;
+        }
+    }
+
+    const n = filled.length;
+    const self = prism_mutual_tensor(dx, dy, dz, [0, 0, 0]);
+    const tensor = self.map(row => row.map(value => value * n));
+    for (let index = 0; index < counts.length; index++) {
+        if (!counts[index]) continue;
+        const i = index % sx - (nx - 1);
+        const j = Math.floor(index / sx) % sy - (ny - 1);
+        const k = Math.floor(index / (sx * sy)) - (nz - 1);
+        const mutual = prism_mutual_tensor(dx, dy, dz, [i * dx, j * dy, k * dz]);
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                tensor[r][c] += 2 * counts[index] * mutual[r][c];
+            }
+        }
+    }
+
+    return tensor.map(row => row.map(value => value / n));
 }
 
 // Memoization for expensive mathematical operations
@@ -438,13 +1506,13 @@ function addToCache(key, value, cache = mathCache, maxSize = 100) {
 /**
  * Memoized version of demagnetization factor calculation for prism
  */
-function memoizedDemagFactors(a, b, c) {
-    const key = `${a}-${b}-${c}`;
+function memoizedDemagFactors(a, b, c, convention = 'magnetometric') {
+    const key = `${a}-${b}-${c}-${convention}`;
     if (mathCache.has(key)) {
         return mathCache.get(key);
     }
     
-    const result = demag_factors(a, b, c);
+    const result = demag_factors(a, b, c, convention);
     addToCache(key, result);
     return result;
 }
@@ -466,6 +1534,66 @@ function memoizedNCylinder(thickness, diameter) {
     return result;
 }
 
+/**
+ * Memoized version of cylinder calculation returning [N_x, N_y, N_z]
+ */
+function memoizedCylinderFactors(thickness, diameter, convention = 'magnetometric') {
+    const cacheKey = `cylinder-factors-${thickness}-${diameter}-${convention}`;
+    
+    if (mathCache.has(cacheKey)) {
+        return mathCache.get(cacheKey);
+    }
+    
+    const result = cylinder_factors(thickness, diameter, convention);
+    addToCache(cacheKey, result);
+    return result;
+}
+
+/**
+ * Memoized version of ring calculation returning [N_x, N_y, N_z]
+ */
+function memoizedRingFactors(thickness, outerDiameter, innerDiameter) {
+    const key = `ring-${thickness}-${outerDiameter}-${innerDiameter}`;
+    
+    if (mathCache.has(key)) {
+        return mathCache.get(key);
+    }
+    
+    const result = ring_factors(thickness, outerDiameter, innerDiameter);
+    addToCache(key, result);
+    return result;
+}
+
+/**
+ * Memoized version of elliptical cylinder calculation returning [N_x, N_y, N_z]
+ */
+function memoizedEllipticCylinderFactors(thickness, majorAxis, minorAxis) {
+    const key = `elliptic-cylinder-${thickness}-${majorAxis}-${minorAxis}`;
+    
+    if (mathCache.has(key)) {
+        return mathCache.get(key);
+    }
+    
+    const result = elliptic_cylinder_factors(thickness, majorAxis, minorAxis);
+    addToCache(key, result);
+    return result;
+}
+
+/**
+ * Memoized version of polygonal prism calculation returning [N_x, N_y, N_z]
+ */
+function memoizedPolygonPrismFactors(sides, sideLength, thickness) {
+    const key = `polygon-${sides}-${sideLength}-${thickness}`;
+    
+    if (mathCache.has(key)) {
+        return mathCache.get(key);
+    }
+    
+    const result = polygon_prism_factors(sides, sideLength, thickness);
+    addToCache(key, result);
+    return result;
+}
+
 /**
  * Memoized version of sphere calculation
  */
@@ -481,17 +1609,62 @@ function memoizedNSphere(diameter) {
     return result;
 }
 
+/**
+ * Memoized version of ellipsoid calculation
+ */
+function memoizedNEllipsoid(a, b, c) {
+    const key = `ellipsoid-${a}-${b}-${c}`;
+    
+    if (mathCache.has(key)) {
+        return mathCache.get(key);
+    }
+    
+    const result = N_ellipsoid(a, b, c);
+    addToCache(key, result);
+    return result;
+}
+
 /**
  * Memoized version of thin film calculation
  */
-function memoizedNThinFilm(thickness) {
-    const key = `thin-film-${thickness}`;
+function memoizedNThinFilm(thickness, width = Infinity, length = width, shape = 'rectangular', convention = 'magnetometric') {
+    const key = `thin-film-${thickness}-${width}-${length}-${shape}-${convention}`;
     
     if (mathCache.has(key)) {
         return mathCache.get(key);
     }
     
-    const result = N_thin_film(thickness);
+    const result = N_thin_film(thickness, width, length, shape, convention);
+    addToCache(key, result);
+    return result;
+}
+
+/**
+ * Memoized version of nanowire calculation returning [N_x, N_y, N_z]
+ */
+function memoizedNanowireFactors(length, diameter, crossSection = 'circular', convention = 'magnetometric') {
+    const key = `nanowire-${length}-${diameter}-${crossSection}-${convention}`;
+    
+    if (mathCache.has(key)) {
+        return mathCache.get(key);
+    }
+    
+    const result = nanowire_factors(length, diameter, crossSection, convention);
+    addToCache(key, result);
+    return result;
+}
+
+/**
+ * Memoized version of nanowire convergence length
+ */
+function memoizedNanowireLengthForNz(diameter, threshold, crossSection = 'circular') {
+    const key = `nanowire-length-${diameter}-${threshold}-${crossSection}`;
+    
+    if (mathCache.has(key)) {
+        return mathCache.get(key);
+    }
+    
+    const result = nanowire_length_for_Nz(diameter, threshold, crossSection);
     addToCache(key, result);
     return result;
 }
@@ -512,12 +1685,46 @@ function memoizedNInfiniteRod(diameter) {
 }
 
 
+/**
+ * Memoized voxel tensor (keyed by the occupancy pattern)
+ */
+function memoizedVoxelTensor(cells, grid, cellSize) {
+    const cacheKey = `voxel-${grid.join('x')}-${cellSize.join('-')}-${cells.join('')}`;
+    
+    if (mathCache.has(cacheKey)) {
+        return mathCache.get(cacheKey);
+    }
+    
+    const result = voxel_tensor(cells, grid, cellSize);
+    addToCache(cacheKey, result);
+    return result;
+}
+
+
 // ES6 module exports
 export {
     memoizedDemagFactors,
     memoizedNCylinder,
+    memoizedCylinderFactors,
+    memoizedRingFactors,
+    memoizedEllipticCylinderFactors,
+    memoizedPolygonPrismFactors,
     memoizedNSphere,
+    memoizedNEllipsoid,
     memoizedNThinFilm,
     memoizedNInfiniteRod,
-    mathCache
+    memoizedNanowireFactors,
+    memoizedNanowireLengthForNz,
+    memoizedVoxelTensor,
+    mathCache,
+    // Unmemoized, for root-finding that evaluates each size once
+    cylinder_factors,
+    demag_factors,
+    // Rotated-prism tensor and its eigen-decomposition
+    euler_rotation,
+    rotate_factors,
+    symmetric_eigen,
+    demag_tensor,
+    // Mutual tensor between two prisms
+    prism_mutual_tensor
 };
@@ -0,0 +1,198 @@
+// Multilayer stacks (composite free layers, synthetic antiferromagnets): magnetic layers sharing the lateral shape
+// of a cylinder or prism, separated by non-magnetic spacers along z (no DOM access)
+// Layers marked 'free' rotate together; 'up' and 'down' layers stay fixed along ± the free layer's preferred axis
+
+import { analyzeAnisotropy } from './demag-core.js';
+import { memoizedCylinderFactors, memoizedDemagFactors } from './math-utils.js';
+import { PHYSICS_CONSTANTS } from './config.js';
+
+export const LAYER_ROLES = ['free', 'up', 'down'];
+
+// Geometries whose lateral shape a stack can share
+export const STACK_GEOMETRIES = ['cylinder', 'prism'];
+
+const AXES = ['x', 'y', 'z'];
+
+// Self factors [N_x, N_y, N_z] of one layer of the given thickness [nm]
+function layerFactors(geometry, dims, thickness) {
+    return geometry === 'cylinder'
+        ? memoizedCylinderFactors(thickness, dims.diameter)
+        : memoizedDemagFactors(dims.a, dims.b, thickness);
+}
+
+/**
+ * Mutual factors between two coaxial layers with the same cross-section, N_ij (field on i from j: H_i = −N_ij·M_j)
+ * For bodies differing only in their z-range the interaction is a double integral of one kernel over z − z',
+ * so with S(t) = t·N_self(t) it reduces to self factors:
+ * t_i·N_ij = ½[S(g) + S(t_i + t_j + g) − S(t_i + g) − S(t_j + g)], g the spacer between them.
+ * @param {Function} S - Thickness [nm] -> [S_x, S_y, S_z] (S(0) = 0)
+ * @param {number} ti - Thickness of layer i [nm]
+ * @param {number} tj - Thickness of layer j [nm]
+ * @param {number} gap - Spacer between the layers [nm]
+ * @returns {Array<number>} [N_x, N_y, N_z]; the trace is zero
+ */
+function mutualFactors(S, ti, tj, gap) {
+    const [a, b, c, d] = [S(gap), S(ti + tj + gap), S(ti + gap), S(tj + gap)];
+    return [0, 1, 2].map(k => (a[k] + b[k] - c[k] - d[k]) / (2 * ti));
+}
+
+// Anisotropy analysis with the in-plane pair grouped for a cylinder (as computeDemag does)
+function analyze(geometry, N, Ms, Ku, V, T, easyAxisInPlane) {
+    const factors = geometry === 'cylinder'
+        ? [{ name: 'x,y', value: N[0] }, { name: 'z', value: N[2] }]
+        : AXES.map((name, i) => ({ name, value: N[i] }));
+    return analyzeAnisotropy(factors, Ms, Ku, V, T, easyAxisInPlane);
+}
+
+/**
+ * Self and interlayer demagnetization of a stack, and the net anisotropy of its free layers
+ * @param {Object} params
+ * @param {string} params.geometry - 'cylinder' or 'prism' (lateral shape)
+ * @param {Object} params.dims - Dimensions of that geometry [nm]; only the lateral ones are used
+ * @param {Array<{role: string, thickness: number, Ms: number, Ku: number, A: number}>} params.layers -
+ *   Bottom to top; thickness in nm, Ms [A/m], Ku [J/m³], A [J/m]
+ * @param {Array<number>} params.spacers - Spacer thickness above each layer but the last [nm]
+ * @param {number} params.T - Temperature [K]
+ * @param {boolean} params.easyAxisInPlane - Crystalline easy axis in-plane
+ * @param {Object|null} params.crystalAnisotropy - Must be null: stacks use a uniaxial axis along z or in-plane
+ * @returns {Object} {geometry, area [m²], axis (bias axis), layers (each with z [nm], N, volume, single-layer
+ *   analysis, magnetostatic_exchange_length_nm = √(2A/μ0Ms²) [nm] and strayField [A/m] from the other layers),
+ *   mutual (n×n [N_x, N_y, N_z], null on the diagonal), free: {layers (indices), volume, Ms, Ku, N, analysis} and bias: {H [A/m] on the free layers
+ *   from the fixed ones, loopShift}, fixed: {moment [A·m²] along +axis, compensation}}
+ */
+export function analyzeStack({ geometry, dims, layers, spacers, T, easyAxisInPlane = false, crystalAnisotropy = null }) {
+    if (!STACK_GEOMETRIES.includes(geometry)) {
+        throw new Error("Stacks share the lateral shape of the Circular Cylinder or Rectangular Prism geometry; switch to one of those");
+    }
+    if (geometry === 'prism' && ['eulerAlpha', 'eulerBeta', 'eulerGamma'].some(name => dims[name])) {
+        throw new Error("Stacks assume layers aligned with the prism axes; set the Euler angles to 0");
+    }
+    if (crystalAnisotropy) {
+        throw new Error("Stacks use a uniaxial axis along z or in-plane; set Crystal Anisotropy to Uniaxial");
+    }
+    const lateral = geometry === 'cylinder' ? ['diameter'] : ['a', 'b'];
+    if (lateral.some(name => typeof dims[name] !== 'number' || !(dims[name] > 0))) {
+        throw new Error("Lateral dimensions of the stack must be positive values");
+    }
+
+    if (!Array.isArray(layers) || layers.length === 0) {
+        throw new Error("Stack needs at least one magnetic layer");
+    }
+    layers.forEach(({ role, thickness, Ms, Ku, A }, i) => {
+        if (!LAYER_ROLES.includes(role)) {
+            throw new Error(`Layer ${i + 1}: unknown role '${role}' (expected one of: ${LAYER_ROLES.join(', ')})`);
+        }
+        if ([thickness, Ms, A].some(value => typeof value !== 'number' || !(value > 0) || !isFinite(value))) {
+            throw new Error(`Layer ${i + 1}: thickness, Ms and A must be positive values`);
+        }
+        if (typeof Ku !== 'number' || !isFinite(Ku)) {
+            throw new Error(`Layer ${i + 1}: Ku must be a finite number`);
+        }
+    });
+    if (!layers.some(layer => layer.role === 'free')) {
+        throw new Error("Mark at least one layer as free");
+    }
+    if (!Array.isArray(spacers) || spacers.length !== layers.length - 1 ||
+        spacers.some(value => typeof value !== 'number' || !(value >= 0) || !isFinite(value))) {
+        throw new Error("Every layer but the top one needs a non-negative spacer thickness above it");
+    }
+
+    const area = geometry === 'cylinder'
+        ? Math.PI * (dims.diameter * 1e-9 / 2) ** 2
+        : (dims.a * 1e-9) * (dims.b * 1e-9);
+    const S = (t) => t > 0 ? layerFactors(geometry, dims, t).map(value => value * t) : [0, 0, 0];
+
+    // Bottom of each layer [nm]
+    const bottoms = [0];
+    for (let i = 1; i < layers.length; i++) {
+        bottoms.push(bottoms[i - 1] + layers[i - 1].thickness + spacers[i - 1]);
+    }
+
+    // Spacers and layers between two layers, summed rather than subtracted so touching layers get exactly 0
+    const gapBetween = (lower, upper) => {
+        let gap = 0;
+        for (let k = lower; k < upper; k++) {
+            gap += spacers[k] + (k > lower ? layers[k].thickness : 0);
+        }
+        return gap;
+    };
+
+    const mutual = layers.map((layer, i) => layers.map((other, j) => i === j
+        ? null
+        : mutualFactors(S, layer.thickness, other.thickness, gapBetween(Math.min(i, j), Math.max(i, j)))));
+
+    const single = layers.map((layer) => {
+        const N = layerFactors(geometry, dims, layer.thickness);
+        const volume = area * layer.thickness * 1e-9;
+        return {
+            N,
+            volume,
+            analysis: analyze(geometry, N, layer.Ms, layer.Ku, volume, T, easyAxisInPlane),
+            magnetostatic_exchange_length_nm: Math.sqrt(2 * layer.A / (PHYSICS_CONSTANTS.MU0 * layer.Ms ** 2)) * 1e9
+        };
+    });
+
+    // Free layers rotating together: moment-weighted N over all free pairs, including the self terms,
+    // so that ½μ0·Ms²·N·V equals the total magnetostatic energy of the group
+    const free = layers.map((layer, i) => i).filter(i => layers[i].role === 'free');
+    const freeVolume = free.reduce((sum, i) => sum + single[i].volume, 0);
+    const freeMoment = free.reduce((sum, i) => sum + layers[i].Ms * single[i].volume, 0);
+    const freeMs = freeMoment / freeVolume;
+    const freeKu = free.reduce((sum, i) => sum + layers[i].Ku * single[i].volume, 0) / freeVolume;
+    const freeN = [0, 1, 2].map(k => free.reduce((sum, i) => sum + free.reduce((inner, j) =>
+        inner + layers[i].Ms * layers[j].Ms * single[i].volume * (i === j ? single[i].N[k] : mutual[i][j][k]), 0), 0) /
+        (freeMs * freeMs * freeVolume));
+    const freeAnalysis = analyze(geometry, freeN, freeMs, freeKu, freeVolume, T, easyAxisInPlane);
+
+    // Fixed layers point along ± the free layers' preferred axis (z, or the softer in-plane axis)
+    const axis = freeAnalysis.preferred_direction === 'Out-of-plane' ? 2 : (freeN[0] <= freeN[1] ? 0 : 1);
+    const sign = (i) => layers[i].role === 'down' ? -1 : 1;
+
+    // Average field on each layer from all others, free layers taken along +axis
+    const strayFields = layers.map((layer, i) => layers.reduce((sum, other, j) =>
+        i === j ? sum : sum - sign(j) * other.Ms * mutual[i][j][axis], 0));
+
+    // Bias on the free group from the fixed layers only (moment-weighted over the free layers)
+    const fixed = layers.map((layer, i) => i).filter(i => layers[i].role !== 'free');
+    const biasField = free.reduce((sum, i) => sum + layers[i].Ms * single[i].volume *
+        fixed.reduce((inner, j) => inner - sign(j) * layers[j].Ms * mutual[i][j][axis], 0), 0) / freeMoment;
+
+    const fixedMoments = fixed.map(j => sign(j) * layers[j].Ms * single[j].volume);
+    const fixedMoment = fixedMoments.reduce((sum, m) => sum + m, 0);
+    const fixedTotal = fixedMoments.reduce((sum, m) => sum + Math.abs(m), 0);
+
+    return {
+        geometry,
+        area,
+        axis: AXES[axis],
+        layers: layers.map((layer, i) => ({
+            ...layer,
+            z: bottoms[i],
+            ...single[i],
+            strayField: strayFields[i]
+        })),
+        spacers,
+        mutual,
+        free: {
+            layers: free,
+            volume: freeVolume,
+            Ms: freeMs,
+            Ku: freeKu,
+            N: freeN,
+            analysis: freeAnalysis
+        },
+        // The fixed layers' field acts like an applied field, so the free layer loop is centred at −H
+        bias: { H: biasField, loopShift: -biasField },
+        fixed: fixed.length === 0 ? null : {
+            moment: fixedMoment,
+            // 1 for a perfectly compensated synthetic antiferromagnet, 0 when all fixed layers are parallel
+            compensation: 1 - Math.abs(fixedMoment) / fixedTotal
+        }
+    };
+}
+
+export default {
+    LAYER_ROLES,
+    STACK_GEOMETRIES,
+    analyzeStack
+};
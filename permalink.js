@@ -0,0 +1,72 @@
+// Permalinks: calculator state <-> URL hash (no DOM access)
+// Hash format: #v=1&geometry=cylinder&axis=in-plane&convention=magnetometric&advanced=1&<input id>=<value>...
+
+import { GEOMETRIES } from './demag-core.js';
+
+export const PERMALINK_VERSION = 1;
+
+// Keys used for app state; every other key is an input id
+const STATE_KEYS = ['v', 'geometry', 'axis', 'convention', 'advanced'];
+
+// Input ids are lower-case kebab-case; anything else in a hand-edited link is ignored
+const INPUT_ID = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Encode calculator state as a URL hash (without the leading '#')
+ * @param {Object} state
+ * @param {string} state.geometry - Geometry id
+ * @param {boolean} state.easyAxisInPlane - Crystalline easy axis in-plane
+ * @param {string} state.demagConvention - 'magnetometric' or 'fluxmetric'
+ * @param {boolean} state.showAdvanced - Advanced view
+ * @param {Object<string, string>} state.values - Input and select values keyed by element id
+ * @returns {string} Hash text
+ */
+export function encodePermalink({ geometry, easyAxisInPlane, demagConvention, showAdvanced, values }) {
+    const params = new URLSearchParams({
+        v: String(PERMALINK_VERSION),
+        geometry,
+        axis: easyAxisInPlane ? 'in-plane' : 'out-of-plane',
+        convention: demagConvention,
+        advanced: showAdvanced ? '1' : '0'
+    });
+    for (const [id, value] of Object.entries(values)) {
+        params.set(id, value);
+    }
+    return params.toString();
+}
+
+/**
+ * Decode a URL hash written by encodePermalink
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Object|null} State in the shape encodePermalink takes, or null if the hash is not a permalink
+ */
+export function decodePermalink(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const geometry = params.get('geometry');
+    if (!GEOMETRIES.includes(geometry)) return null;
+
+    // Links from a newer version may carry state this version cannot reproduce
+    const version = Number(params.get('v'));
+    if (!(version >= 1 && version <= PERMALINK_VERSION)) return null;
+
+    const values = {};
+    for (const [id, value] of params) {
+        if (!STATE_KEYS.includes(id) && INPUT_ID.test(id)) {
+            values[id] = value;
+        }
+    }
+
+    return {
+        geometry,
+        easyAxisInPlane: params.get('axis') === 'in-plane',
+        demagConvention: params.get('convention') === 'fluxmetric' ? 'fluxmetric' : 'magnetometric',
+        showAdvanced: params.get('advanced') === '1',
+        values
+    };
+}
+
+export default {
+    PERMALINK_VERSION,
+    encodePermalink,
+    decodePermalink
+};
@@ -0,0 +1,288 @@
+// Plain-text and CSV formatting of computeDemag results (no DOM access)
+// Units follow the UI: nm, kA/m, MJ/m³, pJ/m, K
+
+import { PHYSICS_CONSTANTS, GEOMETRY_NAMES } from './config.js';
+import { GEOMETRY_DIMENSIONS, shapeDimensionNames } from './demag-core.js';
+
+// Trim floating-point noise without losing meaningful digits
+function round(value, digits = 10) {
+    return typeof value === 'number' && isFinite(value) ? Number(value.toPrecision(digits)) : value;
+}
+
+// Duration units for retention times, largest first: [seconds, name]
+const DURATION_UNITS = [
+    [365.25 * 86400, 'years'],
+    [86400, 'days'],
+    [3600, 'h'],
+    [60, 'min'],
+    [1, 's']
+];
+
+/**
+ * Format a duration given as log10(seconds), e.g. 3.6 years or 2.1e+20 years
+ * Taking the logarithm keeps retention times e^Δ/f₀ finite for large Δ
+ * @param {number} log10Seconds - Base-10 logarithm of the duration in seconds
+ * @returns {string} Duration with unit
+ */
+export function formatDuration(log10Seconds) {
+    const [unitSeconds, name] = DURATION_UNITS.find(([seconds]) => log10Seconds >= Math.log10(seconds)) || DURATION_UNITS[DURATION_UNITS.length - 1];
+    const log10Value = log10Seconds - Math.log10(unitSeconds);
+
+    if (log10Value >= 6 || log10Value < -3) {
+        const exponent = Math.floor(log10Value);
+        return `${Math.pow(10, log10Value - exponent).toFixed(1)}e${exponent >= 0 ? '+' : ''}${exponent} ${name}`;
+    }
+    return `${Number(Math.pow(10, log10Value).toPrecision(3))} ${name}`;
+}
+
+// Material inputs echoed in CSV output: [column, value(result)]
+export const INPUT_COLUMNS = [
+    ['Ms_kA_m', r => r.Ms / 1e3],
+    ['Ku_MJ_m3', r => r.Ku / 1e6],
+    ['A_pJ_m', r => r.A * 1e12],
+    ['T_K', r => r.T],
+    ['easy_axis_in_plane', r => r.easyAxisInPlane]
+];
+
+// Calculated quantities in CSV output (the same quantities renderResults shows)
+export const RESULT_COLUMNS = [
+    ['Nx', r => r.N[0]],
+    ['Ny', r => r.N[1]],
+    ['Nz', r => r.N[2]],
+    ['easy_axis', r => r.easy_axis.name],
+    ['hard_axis', r => r.hard_axis.name],
+    ['K_shape_MJ_m3', r => r.K_shape / 1e6],
+    ['K_eff_MJ_m3', r => r.K_eff / 1e6],
+    ['Hc_kA_m', r => r.H_c / 1e3],
+    ['Hc_mT', r => r.H_c * PHYSICS_CONSTANTS.MU0 * 1e3],
+    ['delta', r => r.delta],
+    ['delta_target_met', r => r.thermal ? r.thermal.passes : null],
+    ['log10_retention_s', r => r.thermal ? r.thermal.log10_retention_time : null],
+    ['exchange_length_nm', r => r.exchange_length === null ? null : r.exchange_length * 1e9],
+    ['anisotropy_type', r => r.anisotropy_type],
+    ['preferred_direction', r => r.preferred_direction]
+];
+
+// Full tensor of a rotated prism or custom shape (upper triangle), added only when a result carries it
+export const TENSOR_COLUMNS = [
+    ['Nxx_lab', r => r.tensor ? r.tensor.matrix[0][0] : null],
+    ['Nxy_lab', r => r.tensor ? r.tensor.matrix[0][1] : null],
+    ['Nxz_lab', r => r.tensor ? r.tensor.matrix[0][2] : null],
+    ['Nyy_lab', r => r.tensor ? r.tensor.matrix[1][1] : null],
+    ['Nyz_lab', r => r.tensor ? r.tensor.matrix[1][2] : null],
+    ['Nzz_lab', r => r.tensor ? r.tensor.matrix[2][2] : null],
+    // Frame of the energies: a rotated prism's body axes (a, b, c) or a custom shape's grid axes
+    ['energy_frame', r => r.tensor ? (r.voxels ? 'grid' : 'body') : null]
+];
+
+// General crystal anisotropy (energy surface), added only when a result carries it
+export const CRYSTAL_COLUMNS = [
+    ['K1_MJ_m3', r => r.crystalAnisotropy ? r.crystalAnisotropy.K1 / 1e6 : null],
+    ['K2_MJ_m3', r => r.crystalAnisotropy ? r.crystalAnisotropy.K2 / 1e6 : null],
+    ['easy_theta_deg', r => r.energySurface ? r.energySurface.theta : null],
+    ['easy_phi_deg', r => r.energySurface ? r.energySurface.phi : null],
+    ['equivalent_minima', r => r.energySurface ? r.energySurface.equivalentMinima : null]
+];
+
+// Fluxmetric factors, added only when a result carries them
+export const FLUXMETRIC_COLUMNS = [
+    ['Nx_fluxmetric', r => r.displayFactors ? r.displayFactors[0] : null],
+    ['Ny_fluxmetric', r => r.displayFactors ? r.displayFactors[1] : null],
+    ['Nz_fluxmetric', r => r.displayFactors ? r.displayFactors[2] : null]
+];
+
+// Quote a CSV field when it contains separators, quotes or line breaks
+export function escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(round(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Dimension columns used by a set of results, in GEOMETRY_DIMENSIONS order
+function dimensionColumns(results) {
+    const columns = [];
+    for (const result of results) {
+        for (const name of GEOMETRY_DIMENSIONS[result.geometry] || []) {
+            if (!columns.includes(name)) columns.push(name);
+        }
+    }
+    return columns;
+}
+
+/**
+ * Format results as CSV (header first, then one row per result)
+ * @param {Array<Object>} results - computeDemag results
+ * @param {Array<string>|null} labels - Optional row labels, written as a leading 'label' column
+ * @returns {string} CSV text
+ */
+export function resultsToCsv(results, labels = null) {
+    const dims = dimensionColumns(results);
+    const valueColumns = [
+        ...INPUT_COLUMNS,
+        ...RESULT_COLUMNS,
+        ...(results.some(r => r.displayFactors) ? FLUXMETRIC_COLUMNS : []),
+        ...(results.some(r => r.tensor) ? TENSOR_COLUMNS : []),
+        ...(results.some(r => r.energySurface) ? CRYSTAL_COLUMNS : [])
+    ];
+
+    const header = [...(labels ? ['label'] : []), 'geometry', ...dims, ...valueColumns.map(([name]) => name)];
+    const rows = results.map((result, i) => [
+        ...(labels ? [labels[i]] : []),
+        result.geometry,
+        // Inputs of the other thin-film or custom shape are left blank
+        ...dims.map(name => shapeDimensionNames(result.geometry, result.dims).includes(name) ? result.dims[name] : null),
+        ...valueColumns.map(([, value]) => value(result))
+    ]);
+
+    return [header, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\n') + '\n';
+}
+
+// Easy/hard label for one axis, matching renderAxisLabels
+function axisLabel(value, N_easy, N_hard) {
+    const tolerance = 1e-6;
+    if (Math.abs(value - N_easy) < tolerance) return '  (easy)';
+    if (Math.abs(value - N_hard) < tolerance) return '  (hard)';
+    return '';
+}
+
+/**
+ * Human-readable dimension list, e.g. "a = 20 nm, b = 20 nm, c = 2 nm"
+ * @param {Object} result - computeDemag result
+ * @returns {string} Dimension list
+ */
+export function formatDimensions(result) {
+    // Thin films and custom shapes list only the inputs of their shape, and a mask by grid size
+    return shapeDimensionNames(result.geometry, result.dims)
+        // Zero Euler angles (an unrotated prism) are left out
+        .filter(name => result.dims[name] !== undefined && !(name.startsWith('euler') && result.dims[name] === 0))
+        .map(name => {
+            const value = result.dims[name];
+            if (name === 'mask') {
+                return `mask = ${result.voxels ? result.voxels.grid.join('×') : '?'} cells`;
+            }
+            // Thresholds, voxel cell counts and polygon sides have no unit
+            const unit = typeof value !== 'number' || ['threshold', 'resolution', 'layers', 'sides'].includes(name)
+                ? ''
+                : name.startsWith('euler') ? '°' : ' nm';
+            return `${name} = ${value}${unit}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Format a result as plain text with the quantities shown in the web UI
+ * @param {Object} result - computeDemag result
+ * @returns {string} Multi-line text
+ */
+export function formatResultText(result) {
+    const { N, N_easy, N_hard, displayFactors, K_shape, K_eff, H_c, delta, thermal, exchange_length } = result;
+    const dims = formatDimensions(result);
+    const lines = [];
+
+    lines.push(`${GEOMETRY_NAMES[result.geometry] || result.geometry}${dims ? ` (${dims})` : ''}`);
+    lines.push('');
+    lines.push('Demagnetization factors (magnetometric):');
+    ['x', 'y', 'z'].forEach((axis, i) => {
+        lines.push(`  N${axis} = ${N[i].toFixed(4)}${axisLabel(N[i], N_easy, N_hard)}`);
+    });
+
+    if (displayFactors) {
+        lines.push('Fluxmetric factors (mid-plane, χ = 0):');
+        ['x', 'y', 'z'].forEach((axis, i) => lines.push(`  N${axis} = ${displayFactors[i].toFixed(4)}`));
+    }
+
+    if (result.inPlaneAnisotropy) {
+        const { K_inplane, H_k, delta_inplane } = result.inPlaneAnisotropy;
+        lines.push(`In-plane shape anisotropy: K∥ = ${(K_inplane / 1e3).toFixed(2)} kJ/m³, ` +
+            `H_K∥ = ${(H_k * PHYSICS_CONSTANTS.MU0 * 1e3).toFixed(1)} mT, Δ∥ = ${delta_inplane.toFixed(1)}`);
+    }
+
+    if (result.tensor) {
+        const { euler, matrix, eigenvalues, eigenvectors } = result.tensor;
+        if (result.voxels) {
+            const { grid, cellSize, filled } = result.voxels;
+            lines.push(`Voxel tensor (${filled} voxels on a ${grid.join('×')} grid, cells ${cellSize.map(size => Number(size.toPrecision(3))).join(' × ')} nm):`);
+        } else {
+            lines.push(`Lab-frame tensor (Euler z-y'-z'' = ${euler.join('°, ')}°):`);
+        }
+        matrix.forEach(row => lines.push(`  [${row.map(value => value.toFixed(4).padStart(7)).join(' ')} ]`));
+        eigenvalues.forEach((value, i) => {
+            lines.push(`  eigenvalue ${value.toFixed(4)} along (${eigenvectors[i].map(x => x.toFixed(3)).join(', ')})`);
+        });
+        if (!result.voxels) {
+            lines.push('  Energies use the body-frame Nx, Ny, Nz: the crystalline easy axis rotates with the prism, ' +
+                'and Out-of-plane/In-plane refer to its c axis');
+        }
+    }
+
+    if (result.idealLimit) {
+        const { name, factors } = result.idealLimit;
+        const deviation = N.map((value, i) => (value - factors[i]).toFixed(4)).join(', ');
+        lines.push(`${name} limit (${factors.join(', ')}); deviation: ${deviation}`);
+    }
+
+    if (result.convergence) {
+        const { threshold, requiredLength, diameter } = result.convergence;
+        lines.push(isFinite(requiredLength)
+            ? `Convergence: Nz < ${threshold} requires L ≥ ${requiredLength.toFixed(1)} nm (L/D ≥ ${(requiredLength / diameter).toFixed(1)})`
+            : `Convergence: Nz < ${threshold} requires L > 1 mm`);
+    }
+
+    if (result.interfaceAnisotropy) {
+        const { Kv, Ks, thickness, Ku } = result.interfaceAnisotropy;
+        lines.push(`Interface anisotropy: Ku = Kv + Ks/t = ${(Kv / 1e6).toFixed(3)} MJ/m³ + ${(Ks * 1e3).toFixed(3)} mJ/m² / ` +
+            `${thickness} nm = ${(Ku / 1e6).toFixed(3)} MJ/m³`);
+    }
+
+    if (result.energySurface) {
+        const { K1, K2, cubicOrientation, cubicAngle } = result.crystalAnisotropy;
+        const { easyDirection, theta, phi, saddle, barrier, equivalentMinima } = result.energySurface;
+        lines.push(`Energy surface (${result.crystallineEasyAxis}; K1 = ${(K1 / 1e6).toFixed(4)}, K2 = ${(K2 / 1e6).toFixed(4)} MJ/m³, ` +
+            `crystal rotated ${cubicAngle}°):`);
+        lines.push(`  easy direction θ = ${theta.toFixed(1)}°, φ = ${phi.toFixed(1)}° ` +
+            `(${easyDirection.map(x => (Math.abs(x) < 5e-4 ? 0 : x).toFixed(3)).join(', ')}), ${equivalentMinima ?? 'a continuum of'} equivalent minima`);
+        lines.push(saddle
+            ? `  saddle at θ = ${saddle.theta.toFixed(1)}°, φ = ${saddle.phi.toFixed(1)}°, barrier ${(barrier / 1e3).toFixed(2)} kJ/m³`
+            : '  no barrier: the minimum is a continuous valley (easy plane or cone)');
+    }
+
+    if (result.temperatureScaling) {
+        const { law, curieTemperature, referenceTemperature, m, m_reference, reference } = result.temperatureScaling;
+        lines.push(`${law === 'kuzmin' ? "Kuz'min" : 'Bloch'} scaling to ${result.T} K (Tc = ${curieTemperature} K, ` +
+            `entered at ${referenceTemperature} K): Ms ratio ${(m / m_reference).toFixed(3)}`);
+        lines.push(`  Ms = ${(result.Ms / 1e3).toFixed(1)} kA/m (${(reference.Ms / 1e3).toFixed(1)}), ` +
+            `Ku = ${(result.Ku / 1e6).toFixed(3)} MJ/m³ (${(reference.Ku / 1e6).toFixed(3)}), ` +
+            `A = ${(result.A * 1e12).toFixed(2)} pJ/m (${(reference.A * 1e12).toFixed(2)})`);
+    }
+
+    lines.push('');
+    lines.push(`Shape anisotropy      K_shape = ${(K_shape / 1e6).toFixed(3)} MJ/m³`);
+    lines.push(`Effective anisotropy  K_eff   = ${(K_eff / 1e6).toFixed(3)} MJ/m³`);
+    lines.push(`Coercive field        H_c     = ${(H_c / 1e3).toFixed(1)} kA/m (${(H_c * PHYSICS_CONSTANTS.MU0 * 1e3).toFixed(1)} mT)`);
+    lines.push(`Thermal stability     Δ       = ${thermal ? `${delta.toFixed(1)} (${thermal.passes ? 'meets' : 'below'} target ${thermal.deltaTarget})` : 'N/A'}`);
+    if (thermal) {
+        lines.push(`Retention time        τ       = ${formatDuration(thermal.log10_retention_time)} (f₀ = ${thermal.attemptFrequency / 1e9} GHz)`);
+        lines.push(`Minimum volume for Δ = ${thermal.deltaTarget}: ${isFinite(thermal.min_volume)
+            ? `${(thermal.min_volume * 1e27).toPrecision(4)} nm³ (scale all dimensions ×${thermal.scale.toFixed(3)})`
+            : 'unreachable (K_eff = 0)'}`);
+    }
+    lines.push(`Exchange length       δ       = ${exchange_length === null ? 'N/A' : `${(exchange_length * 1e9).toFixed(1)} nm`}`);
+    lines.push('');
+    lines.push(`${result.anisotropy_type}; preferred magnetization: ${result.preferred_direction} ` +
+        `(crystalline easy axis: ${result.crystallineEasyAxis})`);
+
+    return lines.join('\n');
+}
+
+export default {
+    INPUT_COLUMNS,
+    RESULT_COLUMNS,
+    FLUXMETRIC_COLUMNS,
+    TENSOR_COLUMNS,
+    CRYSTAL_COLUMNS,
+    escapeCsvField,
+    formatDuration,
+    formatDimensions,
+    resultsToCsv,
+    formatResultText
+};
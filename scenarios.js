@@ -0,0 +1,65 @@
+// Scenario comparison: rows of the comparison table for pinned results (no DOM access)
+
+import { GEOMETRY_NAMES } from './config.js';
+import { formatDimensions } from './result-format.js';
+
+// Relative difference below which two numbers count as equal
+const EQUAL_TOLERANCE = 1e-6;
+
+// Compared quantities: [label, unit, value(result), digits]; rows without digits hold text
+export const COMPARISON_ROWS = [
+    ['Geometry', '', r => GEOMETRY_NAMES[r.geometry] || r.geometry],
+    ['Dimensions', '', r => formatDimensions(r)],
+    ['M<sub>s</sub>', 'kA/m', r => r.Ms / 1e3, 1],
+    ['K<sub>u</sub>', 'MJ/m³', r => r.Ku / 1e6, 3],
+    ['A<sub>ex</sub>', 'pJ/m', r => r.A * 1e12, 2],
+    ['T', 'K', r => r.T, 0],
+    ['Crystalline easy axis', '', r => r.crystallineEasyAxis],
+    ['N<sub>x</sub>', '', r => r.N[0], 4],
+    ['N<sub>y</sub>', '', r => r.N[1], 4],
+    ['N<sub>z</sub>', '', r => r.N[2], 4],
+    ['K<sub>eff</sub>', 'MJ/m³', r => r.K_eff / 1e6, 3],
+    ['H<sub>c</sub>', 'kA/m', r => r.H_c / 1e3, 1],
+    ['Δ', '', r => r.delta, 1],
+    ['Preferred magnetization', '', r => r.preferred_direction]
+];
+
+// Equality with a relative tolerance for numbers
+function sameValue(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= EQUAL_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+    }
+    return a === b;
+}
+
+/**
+ * Comparison table for pinned scenarios; the first scenario is the baseline
+ * @param {Array<{id: number, label: string, result: Object}>} scenarios - Pinned scenarios
+ * @returns {Array<{label: string, unit: string, differs: boolean,
+ *   cells: Array<{text: string, changed: boolean, change: number|null}>}>} One row per quantity;
+ *   changed marks cells that differ from the baseline and change is the relative change in percent
+ */
+export function compareScenarios(scenarios) {
+    return COMPARISON_ROWS.map(([label, unit, valueOf, digits]) => {
+        const values = scenarios.map(({ result }) => valueOf(result));
+        const baseline = values[0];
+
+        const cells = values.map(value => {
+            const numeric = typeof value === 'number' && isFinite(value);
+            const text = value === null || value === undefined
+                ? 'N/A'
+                : (numeric && digits !== undefined ? value.toFixed(digits) : String(value));
+            const change = numeric && typeof baseline === 'number' && baseline !== 0
+                ? (value - baseline) / Math.abs(baseline) * 100
+                : null;
+            return { text, changed: !sameValue(value, baseline), change };
+        });
+
+        return { label, unit, differs: cells.some(cell => cell.changed), cells };
+    });
+}
+
+export default {
+    COMPARISON_ROWS,
+    compareScenarios
+};
@@ -0,0 +1,137 @@
+// Stoner–Wohlfarth model: coherent rotation of a single-domain particle with uniaxial K_eff (no DOM access)
+// Reduced energy e(θ) = sin²θ − 2h·cos(θ − ψ), with θ the magnetization angle and ψ the field angle
+// from the easy axis, and h = H/H_K where H_K = 2|K_eff|/(μ0 Ms)
+
+import { PHYSICS_CONSTANTS } from './config.js';
+
+// Angular grid for locating the energy minimum a state relaxes into
+const ANGLE_GRID = 720;
+
+const DEG = Math.PI / 180;
+
+/**
+ * Reduced switching field of the astroid, h_sw = (cos^{2/3}ψ + sin^{2/3}ψ)^{-3/2}
+ * Field where the metastable state disappears; at ψ = 90° it is the hard-axis saturation field (no jump)
+ * @param {number} psi - Field angle from the easy axis [rad]
+ * @returns {number} h_sw = H_sw/H_K
+ */
+export function switchingField(psi) {
+    const c = Math.abs(Math.cos(psi)), s = Math.abs(Math.sin(psi));
+    return Math.pow(Math.pow(c, 2 / 3) + Math.pow(s, 2 / 3), -1.5);
+}
+
+/**
+ * Reduced coercive field (field where the projected magnetization crosses zero)
+ * Equal to h_sw up to 45°, then sinψ·cosψ, where the magnetization passes zero before it switches
+ * @param {number} psi - Field angle from the easy axis [rad]
+ * @returns {number} h_c = H_c/H_K
+ */
+export function coerciveField(psi) {
+    const c = Math.abs(Math.cos(psi)), s = Math.abs(Math.sin(psi));
+    return c >= s ? switchingField(psi) : s * c;
+}
+
+// Relax θ into the energy minimum reached from it: walk downhill on the grid, then refine by Newton steps
+function relax(theta, h, psi) {
+    const step = 2 * Math.PI / ANGLE_GRID;
+    const energy = (t) => Math.sin(t) ** 2 - 2 * h * Math.cos(t - psi);
+
+    let e = energy(theta);
+    for (let i = 0; i < ANGLE_GRID; i++) {
+        const up = energy(theta + step);
+        const down = energy(theta - step);
+        if (up >= e && down >= e) break;
+        if (up < down) {
+            theta += step;
+            e = up;
+        } else {
+            theta -= step;
+            e = down;
+        }
+    }
+
+    for (let i = 0; i < 50; i++) {
+        const gradient = Math.sin(2 * theta) + 2 * h * Math.sin(theta - psi);
+        const curvature = 2 * Math.cos(2 * theta) + 2 * h * Math.cos(theta - psi);
+        if (curvature <= 0) break;
+        const delta = Math.max(-step, Math.min(step, gradient / curvature));
+        theta -= delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return theta;
+}
+
+/**
+ * Stoner–Wohlfarth loop, angular switching and astroid for one particle
+ * The effective anisotropy is treated as uniaxial about the preferred magnetization direction
+ * @param {Object} params
+ * @param {number} params.K_eff - Effective anisotropy [J/m³] (from analyzeAnisotropy)
+ * @param {number} params.Ms - Saturation magnetization [A/m]
+ * @param {number} params.fieldAngle - Applied-field angle from the easy axis [degrees, 0–90]
+ * @param {number} params.maxField - Loop field range in units of H_K (default 1.5)
+ * @param {number} params.points - Field values per loop branch (default 201)
+ * @param {Object|null} params.energySurface - Energy surface of a general crystal anisotropy (must be null)
+ * @returns {{H_K: number, fieldAngle: number, switchingField: number, coerciveField: number, remanence: number,
+ *   loop: {descending: Array<{H: number, m: number}>, ascending: Array<{H: number, m: number}>},
+ *   angular: Array<{angle: number, switchingField: number, coerciveField: number}>,
+ *   astroid: Array<{H_parallel: number, H_perpendicular: number}>}} Fields in A/m; m is M·Ĥ/Ms
+ */
+export function stonerWohlfarth({ K_eff, Ms, fieldAngle, maxField = 1.5, points = 201, energySurface = null }) {
+    if (energySurface) {
+        throw new Error("Stoner–Wohlfarth uses a uniaxial axis along z or in-plane; set Crystal Anisotropy to Uniaxial");
+    }
+    if (!(Ms > 0)) {
+        throw new Error("Saturation magnetization must be positive");
+    }
+    if (!isFinite(K_eff) || K_eff === 0) {
+        throw new Error("No effective anisotropy (K_eff = 0): the Stoner–Wohlfarth loop is undefined");
+    }
+    if (!(fieldAngle >= 0 && fieldAngle <= 90)) {
+        throw new Error("Field angle must be between 0° and 90° from the easy axis");
+    }
+    if (!(maxField > 1) || !Number.isInteger(points) || points < 3) {
+        throw new Error("Loop needs a field range above H_K and at least 3 points");
+    }
+
+    const H_K = 2 * Math.abs(K_eff) / (PHYSICS_CONSTANTS.MU0 * Ms);
+    const psi = fieldAngle * DEG;
+
+    // Start saturated along +H, sweep down to −maxField, then back up
+    const fields = Array.from({ length: points }, (_, i) => maxField * (1 - 2 * i / (points - 1)));
+    let theta = relax(psi, maxField, psi);
+    const branch = (values) => values.map(h => {
+        theta = relax(theta, h, psi);
+        return { H: h * H_K, m: Math.cos(theta - psi) };
+    });
+    const descending = branch(fields);
+    const ascending = branch([...fields].reverse());
+
+    const angular = Array.from({ length: 91 }, (_, angle) => ({
+        angle,
+        switchingField: switchingField(angle * DEG) * H_K,
+        coerciveField: coerciveField(angle * DEG) * H_K
+    }));
+
+    // Astroid: h∥ = cos³t, h⊥ = sin³t
+    const astroid = Array.from({ length: 361 }, (_, i) => {
+        const t = i * DEG;
+        return { H_parallel: Math.cos(t) ** 3 * H_K, H_perpendicular: Math.sin(t) ** 3 * H_K };
+    });
+
+    return {
+        H_K,
+        fieldAngle,
+        switchingField: switchingField(psi) * H_K,
+        coerciveField: coerciveField(psi) * H_K,
+        remanence: Math.cos(psi),
+        loop: { descending, ascending },
+        angular,
+        astroid
+    };
+}
+
+export default {
+    switchingField,
+    coerciveField,
+    stonerWohlfarth
+};
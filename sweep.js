@@ -0,0 +1,173 @@
+// Parameter sweeps: vary one input over a range and collect computeDemag results (no DOM access)
+// Ranges use UI units: dimensions in nm, Ms in kA/m, Ku in MJ/m³, A in pJ/m, T in K
+
+import { computeDemag, resultOrientation } from './demag-core.js';
+
+// Sweepable inputs, keyed by input element id
+// Dimension entries name the geometry and dimension; material entries the SI property and its UI scale
+export const SWEEP_PARAMETERS = {
+    'ms-value': { property: 'Ms', scale: 1e3, label: 'Ms', unit: 'kA/m' },
+    'ku-value': { property: 'Ku', scale: 1e6, label: 'Ku', unit: 'MJ/m³' },
+    'exchange-value': { property: 'A', scale: 1e-12, label: 'A', unit: 'pJ/m' },
+    'temperature-value': { property: 'T', scale: 1, label: 'Temperature', unit: 'K' },
+    'prism-a': { geometry: 'prism', dimension: 'a', label: 'Length a', unit: 'nm' },
+    'prism-b': { geometry: 'prism', dimension: 'b', label: 'Width b', unit: 'nm' },
+    'prism-c': { geometry: 'prism', dimension: 'c', label: 'Thickness c', unit: 'nm' },
+    'cylinder-thickness': { geometry: 'cylinder', dimension: 'thickness', label: 'Thickness', unit: 'nm' },
+    'cylinder-diameter': { geometry: 'cylinder', dimension: 'diameter', label: 'Diameter', unit: 'nm' },
+    'sphere-diameter': { geometry: 'sphere', dimension: 'diameter', label: 'Diameter', unit: 'nm' },
+    'thin-film-thickness': { geometry: 'thin-film', dimension: 'thickness', label: 'Thickness', unit: 'nm' },
+    'thin-film-width': { geometry: 'thin-film', dimension: 'width', label: 'Width', unit: 'nm', shape: 'rectangular' },
+    'thin-film-length': { geometry: 'thin-film', dimension: 'length', label: 'Length', unit: 'nm', shape: 'rectangular' },
+    'thin-film-diameter': { geometry: 'thin-film', dimension: 'diameter', label: 'Diameter', unit: 'nm', shape: 'circular' },
+    'ellipsoid-a': { geometry: 'ellipsoid', dimension: 'a', label: 'Semi-axis a', unit: 'nm' },
+    'ellipsoid-b': { geometry: 'ellipsoid', dimension: 'b', label: 'Semi-axis b', unit: 'nm' },
+    'ellipsoid-c': { geometry: 'ellipsoid', dimension: 'c', label: 'Semi-axis c', unit: 'nm' },
+    'ring-thickness': { geometry: 'ring', dimension: 'thickness', label: 'Thickness', unit: 'nm' },
+    'ring-outer-diameter': { geometry: 'ring', dimension: 'outerDiameter', label: 'Outer diameter', unit: 'nm' },
+    'ring-inner-diameter': { geometry: 'ring', dimension: 'innerDiameter', label: 'Inner diameter', unit: 'nm' },
+    'elliptic-cylinder-thickness': { geometry: 'elliptic-cylinder', dimension: 'thickness', label: 'Thickness', unit: 'nm' },
+    'elliptic-cylinder-major': { geometry: 'elliptic-cylinder', dimension: 'majorAxis', label: 'Major axis', unit: 'nm' },
+    'elliptic-cylinder-minor': { geometry: 'elliptic-cylinder', dimension: 'minorAxis', label: 'Minor axis', unit: 'nm' },
+    'nanowire-length': { geometry: 'nanowire', dimension: 'length', label: 'Length', unit: 'nm' },
+    'nanowire-diameter': { geometry: 'nanowire', dimension: 'diameter', label: 'Diameter', unit: 'nm' },
+    'voxel-width': { geometry: 'voxel', dimension: 'width', label: 'Width', unit: 'nm' },
+    'voxel-length': { geometry: 'voxel', dimension: 'length', label: 'Length', unit: 'nm' },
+    'voxel-thickness': { geometry: 'voxel', dimension: 'thickness', label: 'Thickness', unit: 'nm' },
+    'voxel-corner-radius': { geometry: 'voxel', dimension: 'cornerRadius', label: 'Corner radius', unit: 'nm', shape: 'rounded-rectangle' },
+    'polygon-side-length': { geometry: 'polygon', dimension: 'sideLength', label: 'Side length', unit: 'nm' },
+    'polygon-thickness': { geometry: 'polygon', dimension: 'thickness', label: 'Thickness', unit: 'nm' }
+};
+
+// Plotted quantities: [key, label, unit, value(result)]
+export const SWEEP_SERIES = [
+    ['Nz', 'N<sub>z</sub>', '', r => r.N[2]],
+    ['K_eff', 'K<sub>eff</sub>', 'MJ/m³', r => r.K_eff / 1e6],
+    ['H_c', 'H<sub>c</sub>', 'kA/m', r => r.H_c / 1e3],
+    ['delta', 'Δ', '', r => r.delta]
+];
+
+/**
+ * Input ids that can be swept for a geometry (its dimensions first, then material properties)
+ * @param {string} geometry - Geometry id
+ * @param {Object} dims - Current dimensions, used to skip inputs hidden by the thin-film shape
+ * @returns {Array<string>} Input ids
+ */
+export function sweepParametersFor(geometry, dims = {}) {
+    const ids = Object.keys(SWEEP_PARAMETERS);
+    const dimensionIds = ids.filter(id => {
+        const parameter = SWEEP_PARAMETERS[id];
+        return parameter.geometry === geometry && (!parameter.shape || !dims.shape || parameter.shape === dims.shape);
+    });
+    const materialIds = ids.filter(id => SWEEP_PARAMETERS[id].property);
+    return [...dimensionIds, ...materialIds];
+}
+
+/**
+ * Evenly spaced sweep values, linear or logarithmic
+ * @param {number} start - First value
+ * @param {number} end - Last value
+ * @param {number} points - Number of values (at least 2)
+ * @param {boolean} logScale - Space values logarithmically (start and end must be positive)
+ * @returns {Array<number>} Values
+ */
+export function sweepValues(start, end, points, logScale = false) {
+    if (!isFinite(start) || !isFinite(end) || start === end) {
+        throw new Error("Sweep needs two different finite end points");
+    }
+    if (!Number.isInteger(points) || points < 2) {
+        throw new Error("Sweep needs at least 2 points");
+    }
+    if (logScale && (start <= 0 || end <= 0)) {
+        throw new Error("Logarithmic sweeps need positive end points");
+    }
+
+    return Array.from({ length: points }, (_, i) => {
+        const t = i / (points - 1);
+        return logScale
+            ? Math.exp(Math.log(start) + t * (Math.log(end) - Math.log(start)))
+            : start + t * (end - start);
+    });
+}
+
+// Apply one swept value (UI units) to the calculation inputs
+function withValue(base, parameter, value) {
+    if (parameter.property) {
+        return { ...base, [parameter.property]: value * parameter.scale };
+    }
+    return { ...base, dims: { ...base.dims, [parameter.dimension]: value } };
+}
+
+// Orientation of one result, decided by the sign of K_eff (or the energy-surface minimum)
+const orientation = resultOrientation;
+
+// Locate the value where the orientation leaves `direction` between lo and hi
+function refineTransition(base, parameter, lo, hi, direction, logScale) {
+    const stays = (value) => {
+        try {
+            return orientation(computeDemag(withValue(base, parameter, value))) === direction;
+        } catch (error) {
+            return false;
+        }
+    };
+
+    for (let i = 0; i < 60 && Math.abs(hi - lo) > 1e-9 * Math.max(Math.abs(lo), Math.abs(hi)); i++) {
+        const mid = logScale ? Math.sqrt(lo * hi) : (lo + hi) / 2;
+        if (stays(mid)) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Run a sweep of one input over a range
+ * Changes of the preferred magnetization direction between points (K_eff = 0) are located by bisection
+ * @param {Object} base - computeDemag parameters for the current inputs ({geometry, dims, Ms, Ku, A, T, ...})
+ * @param {Object} options
+ * @param {string} options.parameter - Input id from SWEEP_PARAMETERS
+ * @param {number} options.start - First value (UI units)
+ * @param {number} options.end - Last value (UI units)
+ * @param {number} options.points - Number of values
+ * @param {boolean} options.logScale - Logarithmic spacing
+ * @returns {{parameter: Object, id: string, logScale: boolean, points: Array<{value: number, result: Object|null, error: string|null}>,
+ *   transitions: Array<{value: number, from: string, to: string}>}}
+ */
+export function runSweep(base, { parameter: id, start, end, points, logScale = false }) {
+    const parameter = SWEEP_PARAMETERS[id];
+    if (!parameter) {
+        throw new Error(`Unknown sweep parameter '${id}'`);
+    }
+    if (parameter.geometry && parameter.geometry !== base.geometry) {
+        throw new Error(`${id} does not belong to ${base.geometry}`);
+    }
+
+    const samples = sweepValues(start, end, points, logScale).map(value => {
+        try {
+            return { value, result: computeDemag(withValue(base, parameter, value)), error: null };
+        } catch (error) {
+            return { value, result: null, error: error.message };
+        }
+    });
+
+    // Compare consecutive points; the flip itself sits where K_eff changes sign
+    const computed = samples.filter(sample => sample.result);
+    const transitions = [];
+    for (let i = 1; i < computed.length; i++) {
+        const from = orientation(computed[i - 1].result);
+        const to = orientation(computed[i].result);
+        if (from !== to) {
+            const value = refineTransition(base, parameter, computed[i - 1].value, computed[i].value, from, logScale);
+            transitions.push({ value, from, to });
+        }
+    }
+
+    return { id, parameter, logScale, points: samples, transitions };
+}
+
+export default {
+    SWEEP_PARAMETERS,
+    SWEEP_SERIES,
+    sweepParametersFor,
+    sweepValues,
+    runSweep
+};
@@ -0,0 +1,98 @@
+// Temperature dependence of Ms, Ku and A (no DOM access)
+// Ms(T) = Ms(0)·m(T/Tc) with Bloch's or Kuz'min's law, Ku ∝ m^n (Callen–Callen), A ∝ m²
+
+export const SCALING_LAWS = ['bloch', 'kuzmin'];
+
+// Callen–Callen exponents l(l+1)/2 of the cubic constants: K1 is fourth order (l = 4), K2 sixth order (l = 6)
+export const CUBIC_EXPONENTS = { K1: 10, K2: 21 };
+
+/**
+ * Reduced magnetization m = Ms(T)/Ms(0)
+ * Bloch: m = 1 − τ^{3/2}; Kuz'min: m = [1 − sτ^{3/2} − (1 − s)τ^{5/2}]^{1/3}, τ = T/Tc
+ * @param {number} T - Temperature [K]
+ * @param {number} curieTemperature - Curie temperature Tc [K]
+ * @param {string} law - 'bloch' or 'kuzmin'
+ * @param {number} kuzminS - Kuz'min shape parameter s (about 0.1–0.4 for 3d metals)
+ * @returns {number} m in [0, 1]
+ */
+export function reducedMagnetization(T, curieTemperature, law = 'bloch', kuzminS = 0.35) {
+    const tau = Math.min(Math.max(T / curieTemperature, 0), 1);
+
+    if (law === 'kuzmin') {
+        return Math.cbrt(Math.max(0, 1 - kuzminS * tau ** 1.5 - (1 - kuzminS) * tau ** 2.5));
+    }
+    return 1 - tau ** 1.5;
+}
+
+/**
+ * Scale material constants given at a reference temperature to temperature T
+ * @param {Object} material - {Ms [A/m], Ku [J/m³], A [J/m]} at the reference temperature
+ * @param {number} T - Target temperature [K]
+ * @param {Object} scaling
+ * @param {number} scaling.curieTemperature - Curie temperature [K]
+ * @param {number} scaling.referenceTemperature - Temperature of the given values [K] (0 or room temperature)
+ * @param {string} scaling.law - 'bloch' (default) or 'kuzmin'
+ * @param {number} scaling.kuzminS - Kuz'min shape parameter (default 0.35)
+ * @param {number} scaling.kuExponent - Callen–Callen exponent n in Ku ∝ Ms^n (default 3, uniaxial single-ion)
+ * @returns {{Ms: number, Ku: number, A: number, m: number, m_reference: number}} Scaled constants (SI)
+ *   and the reduced magnetizations at T and at the reference temperature
+ */
+export function scaleMaterial({ Ms, Ku, A }, T, {
+    curieTemperature,
+    referenceTemperature = 300,
+    law = 'bloch',
+    kuzminS = 0.35,
+    kuExponent = 3
+}) {
+    if (!SCALING_LAWS.includes(law)) {
+        throw new Error(`Unknown temperature scaling law '${law}' (expected ${SCALING_LAWS.join(' or ')})`);
+    }
+    if (!(curieTemperature > 0)) {
+        throw new Error("Curie temperature must be positive");
+    }
+    if (!(referenceTemperature >= 0) || referenceTemperature >= curieTemperature) {
+        throw new Error("Reference temperature must lie between 0 K and the Curie temperature");
+    }
+    if (T >= curieTemperature) {
+        throw new Error(`T = ${T} K is at or above the Curie temperature (${curieTemperature} K): no ferromagnetic order`);
+    }
+    if (!(kuzminS > 0 && kuzminS < 2.5) || !(kuExponent >= 0)) {
+        throw new Error("Kuz'min s must lie in (0, 2.5) and the Ku exponent must be non-negative");
+    }
+
+    const m = reducedMagnetization(T, curieTemperature, law, kuzminS);
+    const m_reference = reducedMagnetization(referenceTemperature, curieTemperature, law, kuzminS);
+    const ratio = m / m_reference;
+
+    return {
+        Ms: Ms * ratio,
+        Ku: Ku * ratio ** kuExponent,
+        A: A * ratio ** 2,
+        m,
+        m_reference
+    };
+}
+
+/**
+ * Scale cubic anisotropy constants given at the reference temperature to temperature T
+ * @param {Object} cubic - {K1, K2} [J/m³] at the reference temperature
+ * @param {number} T - Target temperature [K]
+ * @param {Object} scaling - As for scaleMaterial; kuExponent does not apply to the cubic terms
+ * @returns {{K1: number, K2: number}} K1 ∝ m^10 and K2 ∝ m^21 (SI)
+ */
+export function scaleCubicAnisotropy({ K1, K2 }, T, scaling) {
+    const { m, m_reference } = scaleMaterial({ Ms: 1, Ku: 0, A: 1 }, T, scaling);
+    const ratio = m / m_reference;
+    return {
+        K1: K1 * ratio ** CUBIC_EXPONENTS.K1,
+        K2: K2 * ratio ** CUBIC_EXPONENTS.K2
+    };
+}
+
+export default {
+    SCALING_LAWS,
+    CUBIC_EXPONENTS,
+    reducedMagnetization,
+    scaleMaterial,
+    scaleCubicAnisotropy
+};
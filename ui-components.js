@@ -1,7 +1,10 @@
 // UI component functions for rendering results
 
-import { PHYSICS_CONSTANTS } from './config.js';
+import { PHYSICS_CONSTANTS, UI_CONFIG } from './config.js';
 import { safeRequestIdleCallback } from './utils.js';
+import { SWEEP_SERIES } from './sweep.js';
+import { formatDuration } from './result-format.js';
+import { compareScenarios } from './scenarios.js';
 
 // Format demagnetization values based on geometry type
 export function formatDemagnetizationValue(value, geometryType) {
@@ -81,13 +84,226 @@ export function renderCoerciveFieldToggle(geometryType) {
 }
 
 
+// Render note listing the magnetometric factors when another convention is displayed
+export function renderConventionNote(demagFactors, geometryType) {
+    const [N_x, N_y, N_z] = demagFactors;
+    return `
+        <div class="convention-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            Mid-plane fluxmetric factors (χ = 0). Energies below use the magnetometric factors:
+            Nx = ${formatDemagnetizationValue(N_x, geometryType)},
+            Ny = ${formatDemagnetizationValue(N_y, geometryType)},
+            Nz = ${formatDemagnetizationValue(N_z, geometryType)}
+        </div>
+    `;
+}
+
+// Render in-plane shape anisotropy between the long (x) and short (y) axes
+export function renderInPlaneAnisotropyNote(inPlaneAnisotropy) {
+    const { K_inplane, H_k, delta_inplane } = inPlaneAnisotropy;
+    return `
+        <div class="inplane-anisotropy-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            In-plane shape anisotropy (long axis x vs. short axis y):
+            K<sub>∥</sub> = ½μ₀M<sub>s</sub>²(N<sub>y</sub> − N<sub>x</sub>) = ${(K_inplane / 1e3).toFixed(2)} kJ/m³,
+            H<sub>K∥</sub> = M<sub>s</sub>(N<sub>y</sub> − N<sub>x</sub>) = ${(H_k * PHYSICS_CONSTANTS.MU0 * 1e3).toFixed(1)} mT,
+            Δ<sub>∥</sub> = K<sub>∥</sub>V/k<sub>B</sub>T = ${delta_inplane.toFixed(1)}
+        </div>
+    `;
+}
+
+// Render comparison with the ideal limiting geometry (e.g. infinite film or rod)
+export function renderIdealLimitNote(demagFactors, idealLimit) {
+    const { name, factors } = idealLimit;
+    const signed = (value) => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(4)}`;
+    const [dx, dy, dz] = demagFactors.map((value, i) => value - factors[i]);
+    const spread = Math.max(...demagFactors) - Math.min(...demagFactors);
+    const idealSpread = Math.max(...factors) - Math.min(...factors);
+    
+    return `
+        <div class="ideal-limit-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            ${name} limit: Nx = ${factors[0]}, Ny = ${factors[1]}, Nz = ${factors[2]}.
+            Deviation: ΔNx = ${signed(dx)}, ΔNy = ${signed(dy)}, ΔNz = ${signed(dz)}
+            (shape anisotropy at ${(100 * spread / idealSpread).toFixed(1)}% of the ideal value)
+        </div>
+    `;
+}
+
+// Render nanowire convergence readout: length needed for N_z to fall below a threshold
+export function renderConvergenceNote(convergence) {
+    const { threshold, requiredLength, diameter, length, N_z } = convergence;
+    const reached = N_z <= threshold;
+    const requirement = isFinite(requiredLength)
+        ? `L ≥ ${requiredLength.toFixed(1)} nm (L/D ≥ ${(requiredLength / diameter).toFixed(1)})`
+        : 'L > 1 mm';
+    
+    return `
+        <div class="convergence-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            Convergence: N<sub>z</sub> &lt; ${threshold} requires ${requirement}.
+            This wire (L/D = ${(length / diameter).toFixed(1)}) ${reached ? 'meets' : 'does not meet'} the threshold.
+        </div>
+    `;
+}
+
+// Render critical dimensions: K_eff = 0 transition sizes and the size windows reaching the target Δ
+export function renderCriticalDimensionsNote(criticalDimensions) {
+    const { deltaTarget, dimensions } = criticalDimensions;
+    const size = (value) => isFinite(value) ? `${value.toPrecision(4)} nm` : '∞';
+    
+    const rows = dimensions.map(({ label, transitions, stableRanges }) => {
+        const flips = transitions.length > 0
+            ? transitions.map(({ value, from, to }) => `K<sub>eff</sub> = 0 at ${size(value)} (${from} → ${to})`).join(', ')
+            : 'no K<sub>eff</sub> = 0 crossing';
+        const windows = stableRanges.length > 0
+            ? stableRanges.map(({ from, to, direction }) => `${size(from)} – ${size(to)} (${direction})`).join(', ')
+            : 'not reached';
+        return `<li><strong>${label}:</strong> ${flips}; Δ ≥ ${deltaTarget} for ${windows}</li>`;
+    }).join('');
+    
+    return `
+        <div class="critical-dimensions-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            Critical dimensions (one dimension varied, the others and the material fixed):
+            <ul style="margin: 4px 0 0 0; padding-left: 18px;">${rows}</ul>
+        </div>
+    `;
+}
+
+// Render pass/fail badge against the target Δ and the implied retention time
+export function renderThermalTarget(thermal) {
+    const { passes, deltaTarget, log10_retention_time } = thermal;
+    return `
+        <span class="target-badge ${passes ? 'pass' : 'fail'}">${passes ? '✓' : '✗'} ${passes ? '≥' : '<'} ${deltaTarget}</span>
+        <span class="alt-unit">τ ≈ ${formatDuration(log10_retention_time)}</span>
+    `;
+}
+
+// Render design target: minimum volume (same shape) and size for the target Δ, and retention time
+export function renderThermalDesignNote(thermal, T, criticalDimensions = null) {
+    const { deltaTarget, attemptFrequency, passes, min_volume, scale, log10_retention_time } = thermal;
+    
+    // Lateral size from the critical-dimension solver (cylinder diameter, prism length a)
+    const lateral = criticalDimensions && criticalDimensions.dimensions.find(({ name }) => name === 'diameter' || name === 'a');
+    const lateralText = lateral
+        ? (lateral.minStableSize !== null
+            ? ` Minimum ${lateral.label.toLowerCase()} with the other dimensions fixed: ${lateral.minStableSize.toPrecision(4)} nm.`
+            : ` No ${lateral.label.toLowerCase()} up to 100 µm reaches the target with the other dimensions fixed.`)
+        : '';
+    
+    return `
+        <div class="thermal-design-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            Design target Δ ≥ ${deltaTarget} at ${T} K:
+            <strong style="color: ${passes ? '#27ae60' : '#e74c3c'};">${passes ? 'met' : 'not met'}</strong>.
+            ${isFinite(min_volume)
+                ? `Minimum volume at this shape: ${(min_volume * 1e27).toPrecision(4)} nm³ (all dimensions ×${scale.toFixed(3)}).`
+                : 'Unreachable at this shape (K<sub>eff</sub> = 0).'}${lateralText}
+            Retention time τ = e<sup>Δ</sup>/f₀ ≈ ${formatDuration(log10_retention_time)} (f₀ = ${attemptFrequency / 1e9} GHz).
+        </div>
+    `;
+}
+
+// Full tensor next to its eigenvalues and eigenvectors
+function renderTensorTables({ matrix, eigenvalues, eigenvectors }) {
+    const cell = (value) => `<td>${(Math.abs(value) < 5e-13 ? 0 : value).toFixed(4)}</td>`;
+    const labels = ['x', 'y', 'z'];
+    
+    return `
+            <div style="display: flex; flex-wrap: wrap; gap: 16px; margin-top: 4px;">
+                <table class="tensor-table">
+                    <thead><tr><th></th>${labels.map(axis => `<th>${axis}</th>`).join('')}</tr></thead>
+                    <tbody>${matrix.map((row, i) => `<tr><th>${labels[i]}</th>${row.map(cell).join('')}</tr>`).join('')}</tbody>
+                </table>
+                <table class="tensor-table">
+                    <thead><tr><th>Eigenvalue</th><th colspan="3">Eigenvector (x, y, z)</th></tr></thead>
+                    <tbody>${eigenvalues.map((value, i) => `<tr>${cell(value)}${eigenvectors[i].map(cell).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>`;
+}
+
+// Render the lab-frame tensor of a rotated prism
+export function renderTensorNote(tensor) {
+    const { euler } = tensor;
+    
+    return `
+        <div class="tensor-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            Lab-frame tensor for Euler angles (z-y′-z″) α = ${euler[0]}°, β = ${euler[1]}°, γ = ${euler[2]}°:
+            ${renderTensorTables(tensor)}
+            The eigenvalues are the body-frame N<sub>x</sub>, N<sub>y</sub>, N<sub>z</sub> above, which also set the anisotropy energies
+            (the crystalline easy axis is taken to rotate with the prism, so out-of-plane and in-plane refer to its c axis).
+        </div>
+    `;
+}
+
+// Render the voxel grid and full tensor of a custom shape
+export function renderVoxelNote(analysis) {
+    const { grid, cellSize, filled } = analysis.voxels;
+    const offDiagonal = Math.max(...[[0, 1], [0, 2], [1, 2]].map(([i, j]) => Math.abs(analysis.tensor.matrix[i][j])));
+    
+    return `
+        <div class="tensor-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            ${filled} voxels on a ${grid.join(' × ')} grid of ${cellSize.map(size => Number(size.toPrecision(3))).join(' × ')} nm cells; full tensor:
+            ${renderTensorTables(analysis.tensor)}
+            ${offDiagonal > 5e-4
+                ? 'The shape is not symmetric about the grid axes: energies use the diagonal N<sub>x</sub>, N<sub>y</sub>, N<sub>z</sub>, and the eigenvectors give its principal axes.'
+                : 'The grid axes are principal axes of the shape.'}
+            Curved and slanted edges are staircased; raise the resolution until the factors stop changing.
+        </div>
+    `;
+}
+
+// Render temperature scaling: constants at T next to the entered reference values
+export function renderTemperatureScalingNote(analysis) {
+    const { law, curieTemperature, referenceTemperature, kuExponent, m, m_reference, reference } = analysis.temperatureScaling;
+    const lawName = law === 'kuzmin' ? "Kuz'min" : 'Bloch';
+    
+    return `
+        <div class="temperature-scaling-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            ${lawName} scaling to ${analysis.T} K (T<sub>C</sub> = ${curieTemperature} K, entered at ${referenceTemperature} K):
+            M<sub>s</sub>(T)/M<sub>s</sub>(T<sub>ref</sub>) = ${(m / m_reference).toFixed(3)}.
+            M<sub>s</sub> = ${(analysis.Ms / 1e3).toFixed(1)} kA/m (${(reference.Ms / 1e3).toFixed(1)}),
+            K<sub>u</sub> = ${(analysis.Ku / 1e6).toFixed(3)} MJ/m³ (${(reference.Ku / 1e6).toFixed(3)}, n = ${kuExponent}),
+            A = ${(analysis.A * 1e12).toFixed(2)} pJ/m (${(reference.A * 1e12).toFixed(2)}).
+        </div>
+    `;
+}
+
+// Render interface anisotropy: Ku = Kv + Ks/t at the current thickness
+export function renderInterfaceAnisotropyNote({ Kv, Ks, thickness, Ku }) {
+    return `
+        <div class="interface-anisotropy-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            Interface anisotropy: K<sub>u</sub> = K<sub>v</sub> + K<sub>s</sub>/t = ${(Kv / 1e6).toFixed(3)} MJ/m³ +
+            ${(Ks * 1e3).toFixed(3)} mJ/m² / ${thickness} nm = ${(Ku / 1e6).toFixed(3)} MJ/m³.
+        </div>
+    `;
+}
+
+// Render the energy surface of a general (tilted uniaxial + cubic) anisotropy: easy direction and lowest saddle
+export function renderCrystalAnisotropyNote(analysis) {
+    const { axis, K1, K2, cubicOrientation, cubicAngle } = analysis.crystalAnisotropy;
+    const { theta, phi, saddle, barrier, H_K, equivalentMinima } = analysis.energySurface;
+    const minima = equivalentMinima ? `, ${equivalentMinima} equivalent minima` : '';
+    
+    return `
+        <div class="crystal-anisotropy-note" style="margin-top: 10px; font-size: 12px; color: #64748b;">
+            Energy surface with K<sub>u</sub> along θ = ${axis[0]}°, φ = ${axis[1]}° and cubic
+            K<sub>1</sub> = ${(K1 / 1e6).toFixed(4)}, K<sub>2</sub> = ${(K2 / 1e6).toFixed(4)} MJ/m³
+            ((${cubicOrientation}) film, rotated ${cubicAngle}°):
+            easy direction θ = ${theta.toFixed(1)}°, φ = ${phi.toFixed(1)}°${minima}.
+            ${saddle
+                ? `Lowest saddle at θ = ${saddle.theta.toFixed(1)}°, φ = ${saddle.phi.toFixed(1)}°: K<sub>eff</sub> is the barrier
+                   ${(barrier / 1e3).toFixed(2)} kJ/m³ and H<sub>c</sub> the anisotropy field ${(H_K / 1e3).toFixed(1)} kA/m from the curvature at the minimum.`
+                : 'No saddle: the minimum is a continuous plane or cone, so there is no barrier.'}
+        </div>
+    `;
+}
+
 // Render complete results
 export function renderResults(demagFactors, analysis, geometryType, extraParams = {}) {
     const [N_x, N_y, N_z] = demagFactors;
     const { N_easy, N_hard, K_shape, K_eff, H_c, delta, anisotropy_type, anisotropy_color } = analysis;
-    const { Ms, Ku, A, showAdvanced = false } = extraParams;
+    const { Ms, Ku, A, showAdvanced = false, convention = 'magnetometric', displayFactors = null, inPlaneAnisotropy = null, idealLimit = null, convergence = null, criticalDimensions = null } = extraParams;
     
+    // Easy/hard labels follow the magnetometric factors, values follow the chosen convention
     const labels = renderAxisLabels(N_x, N_y, N_z, N_easy, N_hard);
+    const [D_x, D_y, D_z] = displayFactors || demagFactors;
+    const conventionLabel = displayFactors && convention === 'fluxmetric' ? ' (Fluxmetric)' : '';
     
     
     return `
@@ -96,21 +312,31 @@ export function renderResults(demagFactors, analysis, geometryType, extraParams
                 <h4 style="margin: 0; color: #374151; font-size: 16px;">Calculation Results</h4>
             </div>
             <div class="demagnetization-summary">
-                <h4 style="margin: 0 0 12px 0; color: #374151; font-size: 16px;">Demagnetization Factors</h4>
+                <h4 style="margin: 0 0 12px 0; color: #374151; font-size: 16px;">Demagnetization Factors${conventionLabel}</h4>
                 <div class="demag-values-enhanced">
                     <div class="demag-item-enhanced">
-                        <strong>Nx: ${formatDemagnetizationValue(N_x, geometryType)}</strong>
+                        <strong>Nx: ${formatDemagnetizationValue(D_x, geometryType)}</strong>
                         ${labels.xLabel}
                     </div>
                     <div class="demag-item-enhanced">
-                        <strong>Ny: ${formatDemagnetizationValue(N_y, geometryType)}</strong>
+                        <strong>Ny: ${formatDemagnetizationValue(D_y, geometryType)}</strong>
                         ${labels.yLabel}
                     </div>
                     <div class="demag-item-enhanced">
-                        <strong>Nz: ${formatDemagnetizationValue(N_z, geometryType)}</strong>
+                        <strong>Nz: ${formatDemagnetizationValue(D_z, geometryType)}</strong>
                         ${labels.zLabel}
                     </div>
                 </div>
+                ${conventionLabel ? renderConventionNote(demagFactors, geometryType) : ''}
+                ${inPlaneAnisotropy ? renderInPlaneAnisotropyNote(inPlaneAnisotropy) : ''}
+                ${idealLimit ? renderIdealLimitNote(demagFactors, idealLimit) : ''}
+                ${convergence ? renderConvergenceNote(convergence) : ''}
+                ${analysis.voxels ? renderVoxelNote(analysis) : analysis.tensor ? renderTensorNote(analysis.tensor) : ''}
+                ${analysis.interfaceAnisotropy ? renderInterfaceAnisotropyNote(analysis.interfaceAnisotropy) : ''}
+                ${analysis.energySurface ? renderCrystalAnisotropyNote(analysis) : ''}
+                ${analysis.temperatureScaling ? renderTemperatureScalingNote(analysis) : ''}
+                ${criticalDimensions ? renderCriticalDimensionsNote(criticalDimensions) : ''}
+                ${analysis.thermal ? renderThermalDesignNote(analysis.thermal, analysis.T, criticalDimensions) : ''}
             </div>
             
             <div class="properties-container">
@@ -130,7 +356,8 @@ export function renderResults(demagFactors, analysis, geometryType, extraParams
                         'K<sub>eff</sub>',
                         `<span style="color: ${K_eff > 0 ? '#27ae60' : '#e74c3c'};">${(K_eff/1e6).toFixed(3)}</span>`,
                         'MJ/m³',
-                        K_shape === 0 ? '$K_{eff} = K_u$' : `$K_{eff} = K_u ${analysis.crystallineEasyAxis === 'Out-of-plane' ? (analysis.easy_axis.name === 'z' ? '+' : '-') : (analysis.easy_axis.name === 'z' ? '-' : '+')} K_{shape}$`
+                        analysis.energySurface ? '$K_{eff} = E_{saddle} - E_{min}$'
+                            : K_shape === 0 ? '$K_{eff} = K_u$' : `$K_{eff} = K_u ${analysis.crystallineEasyAxis === 'Out-of-plane' ? (analysis.easy_axis.name === 'z' ? '+' : '-') : (analysis.easy_axis.name === 'z' ? '-' : '+')} K_{shape}$`
                     )}
                 </div>
                 
@@ -151,7 +378,7 @@ export function renderResults(demagFactors, analysis, geometryType, extraParams
                         'Thermal Stability',
                         'Δ',
                         typeof delta === 'number' ? delta.toFixed(1) : 'N/A',
-                        typeof delta === 'number' ? (delta > 60 ? 'Stable' : 'Unstable') : 'Volume-dependent',
+                        analysis.thermal ? renderThermalTarget(analysis.thermal) : 'Volume-dependent',
                         '$\\Delta = \\frac{K_{eff} V}{k_B T}$'
                     )}
                     
@@ -159,7 +386,7 @@ export function renderResults(demagFactors, analysis, geometryType, extraParams
                         'exchange-length',
                         'Exchange Length',
                         'δ',
-                        ((Math.sqrt(A / Math.abs(K_eff))) * 1e9).toFixed(1),
+                        typeof analysis.exchange_length === 'number' ? (analysis.exchange_length * 1e9).toFixed(1) : 'N/A',
                         'nm',
                         '$\\delta = \\sqrt{\\frac{A}{K_{eff}}}$'
                     )}
@@ -182,6 +409,450 @@ export function renderResults(demagFactors, analysis, geometryType, extraParams
     `;
 }
 
+// Rounded tick positions covering [min, max]
+function niceTicks(min, max, count = 5) {
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+    const step = (normalized < 1.5 ? 1 : normalized < 3 ? 2 : normalized < 7 ? 5 : 10) * magnitude;
+    
+    const ticks = [];
+    for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+        ticks.push(Math.abs(tick) < step * 1e-9 ? 0 : tick);
+    }
+    return ticks;
+}
+
+// Decade ticks for a logarithmic axis, falling back to linear ticks inside one decade
+function logTicks(min, max) {
+    const ticks = [];
+    for (let exponent = Math.ceil(Math.log10(min)); exponent <= Math.floor(Math.log10(max)); exponent++) {
+        ticks.push(Math.pow(10, exponent));
+    }
+    return ticks.length >= 2 ? ticks : niceTicks(min, max, 4);
+}
+
+// Compact tick label, e.g. 0.25, 120, 1e+5
+function formatTick(value) {
+    if (value !== 0 && (Math.abs(value) >= 1e5 || Math.abs(value) < 1e-3)) {
+        return value.toExponential(0);
+    }
+    return String(Number(value.toPrecision(3)));
+}
+
+// Render one SVG panel of a sweep chart
+function renderSweepPanel(sweep, [key, label, unit, valueOf], { deltaTarget }) {
+    const width = 320, height = 200;
+    const margin = { left: 50, right: 12, top: 10, bottom: 34 };
+    const { parameter, logScale, points, transitions } = sweep;
+    
+    const values = points.map(point => point.value);
+    const xMin = Math.min(...values), xMax = Math.max(...values);
+    const ys = points.map(point => {
+        const y = point.result ? valueOf(point.result) : null;
+        return typeof y === 'number' && isFinite(y) ? y : null;
+    });
+    const finite = ys.filter(y => y !== null);
+    if (finite.length === 0) {
+        return `<div class="sweep-panel"><div class="sweep-panel-title">${label}</div><small>Not defined for this geometry</small></div>`;
+    }
+    
+    let yMin = Math.min(...finite), yMax = Math.max(...finite);
+    const padding = yMax > yMin ? 0.05 * (yMax - yMin) : Math.max(Math.abs(yMax) * 0.1, 0.01);
+    yMin -= padding;
+    yMax += padding;
+    
+    const toX = (x) => margin.left + (width - margin.left - margin.right) * (logScale
+        ? Math.log(x / xMin) / Math.log(xMax / xMin)
+        : (x - xMin) / (xMax - xMin));
+    const toY = (y) => height - margin.bottom - (height - margin.top - margin.bottom) * (y - yMin) / (yMax - yMin);
+    
+    // Path segments break at points that could not be calculated
+    let path = '';
+    let drawing = false;
+    points.forEach((point, i) => {
+        if (ys[i] === null) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${toX(point.value).toFixed(1)},${toY(ys[i]).toFixed(1)}`;
+        drawing = true;
+    });
+    
+    const xAxisTicks = (logScale ? logTicks(xMin, xMax) : niceTicks(xMin, xMax)).map(tick => `
+        <line x1="${toX(tick)}" y1="${margin.top}" x2="${toX(tick)}" y2="${height - margin.bottom}" stroke="#eef2f7"/>
+        <text x="${toX(tick)}" y="${height - margin.bottom + 14}" text-anchor="middle">${formatTick(tick)}</text>`).join('');
+    const yAxisTicks = niceTicks(yMin, yMax, 4).map(tick => `
+        <line x1="${margin.left}" y1="${toY(tick)}" x2="${width - margin.right}" y2="${toY(tick)}" stroke="#eef2f7"/>
+        <text x="${margin.left - 6}" y="${toY(tick) + 3}" text-anchor="end">${formatTick(tick)}</text>`).join('');
+    
+    // Reference lines: K_eff = 0 and the target thermal stability
+    const reference = key === 'K_eff' ? 0 : key === 'delta' ? deltaTarget : null;
+    const referenceLine = reference !== null && reference > yMin && reference < yMax
+        ? `<line x1="${margin.left}" y1="${toY(reference)}" x2="${width - margin.right}" y2="${toY(reference)}" stroke="#94a3b8" stroke-dasharray="4 3"/>`
+        : '';
+    
+    const transitionLines = transitions.map(({ value }) => `
+        <line x1="${toX(value)}" y1="${margin.top}" x2="${toX(value)}" y2="${height - margin.bottom}" stroke="#f59e0b" stroke-dasharray="5 3" stroke-width="1.5"/>`).join('');
+    
+    // Markers double as tooltips and apply the value to the input when clicked
+    const markers = points.map((point, i) => ys[i] === null ? '' : `
+        <circle class="sweep-marker" cx="${toX(point.value).toFixed(1)}" cy="${toY(ys[i]).toFixed(1)}" r="3"
+            onclick="applySweepValue('${sweep.id}', ${point.value})">
+            <title>${parameter.label} = ${formatTick(point.value)} ${parameter.unit}: ${label.replace(/<\/?sub>/g, '')} = ${formatTick(ys[i])}${unit ? ` ${unit}` : ''}</title>
+        </circle>`).join('');
+    
+    return `
+        <div class="sweep-panel">
+            <div class="sweep-panel-title">${label}${unit ? ` [${unit}]` : ''}</div>
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${key} versus ${parameter.label}">
+                <g class="sweep-grid">${xAxisTicks}${yAxisTicks}</g>
+                <rect x="${margin.left}" y="${margin.top}" width="${width - margin.left - margin.right}" height="${height - margin.top - margin.bottom}" fill="none" stroke="#cbd5e1"/>
+                ${referenceLine}
+                ${transitionLines}
+                <path d="${path}" fill="none" stroke="#6366f1" stroke-width="2"/>
+                ${markers}
+                <text class="sweep-axis-label" x="${(margin.left + width - margin.right) / 2}" y="${height - 4}" text-anchor="middle">${parameter.label} [${parameter.unit}]</text>
+            </svg>
+        </div>
+    `;
+}
+
+// Render sweep results: transition readout and one chart per quantity
+export function renderSweepResults(sweep, { deltaTarget = UI_CONFIG.DEFAULT_VALUES.thermalStability } = {}) {
+    const { parameter, points, transitions } = sweep;
+    const failed = points.filter(point => point.error);
+    
+    const transitionText = transitions.length > 0
+        ? transitions.map(({ value, from, to }) =>
+            `<strong>${from} → ${to}</strong> at ${parameter.label} ≈ ${formatTick(value)} ${parameter.unit}`).join('<br>')
+        : 'No change of preferred magnetization direction over the swept range';
+    
+    return `
+        <div class="sweep-results">
+            <div class="sweep-transitions">${transitionText}</div>
+            <div class="sweep-charts">
+                ${SWEEP_SERIES.map(series => renderSweepPanel(sweep, series, { deltaTarget })).join('')}
+            </div>
+            <small style="color: #64748b;">
+                Dashed orange lines mark K<sub>eff</sub> = 0 crossings; the dashed grey line in Δ marks the target stability (${deltaTarget}).
+                Click a point to use its value.
+                ${failed.length > 0 ? `<br>${failed.length} of ${points.length} points could not be calculated (${failed[0].error}).` : ''}
+            </small>
+        </div>
+    `;
+}
+
+// Render one SVG line chart: series [{points: [[x, y]], color, dashed, label}], optional vertical marker at x
+function renderLineChart({ title, xLabel, series, marker = null, square = false }) {
+    const width = 320, height = square ? 300 : 200;
+    const margin = { left: 50, right: 12, top: 10, bottom: 34 };
+    
+    const xs = series.flatMap(({ points }) => points.map(([x]) => x));
+    const ys = series.flatMap(({ points }) => points.map(([, y]) => y));
+    let xMin = Math.min(...xs), xMax = Math.max(...xs);
+    let yMin = Math.min(...ys), yMax = Math.max(...ys);
+    const yPadding = yMax > yMin ? 0.05 * (yMax - yMin) : 1;
+    yMin -= yPadding;
+    yMax += yPadding;
+    if (square) {
+        // Same scale on both axes so the astroid keeps its shape
+        const extent = Math.max(xMax - xMin, yMax - yMin) / 2;
+        const [xMid, yMid] = [(xMin + xMax) / 2, (yMin + yMax) / 2];
+        [xMin, xMax, yMin, yMax] = [xMid - extent, xMid + extent, yMid - extent, yMid + extent];
+    }
+    
+    const toX = (x) => margin.left + (width - margin.left - margin.right) * (x - xMin) / (xMax - xMin);
+    const toY = (y) => height - margin.bottom - (height - margin.top - margin.bottom) * (y - yMin) / (yMax - yMin);
+    
+    const xAxisTicks = niceTicks(xMin, xMax).map(tick => `
+        <line x1="${toX(tick)}" y1="${margin.top}" x2="${toX(tick)}" y2="${height - margin.bottom}" stroke="#eef2f7"/>
+        <text x="${toX(tick)}" y="${height - margin.bottom + 14}" text-anchor="middle">${formatTick(tick)}</text>`).join('');
+    const yAxisTicks = niceTicks(yMin, yMax, 4).map(tick => `
+        <line x1="${margin.left}" y1="${toY(tick)}" x2="${width - margin.right}" y2="${toY(tick)}" stroke="#eef2f7"/>
+        <text x="${margin.left - 6}" y="${toY(tick) + 3}" text-anchor="end">${formatTick(tick)}</text>`).join('');
+    
+    const paths = series.map(({ points, color, dashed }) => `
+        <path d="${points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${toX(x).toFixed(1)},${toY(y).toFixed(1)}`).join('')}"
+            fill="none" stroke="${color}" stroke-width="2"${dashed ? ' stroke-dasharray="5 3"' : ''}/>`).join('');
+    const markerLine = marker !== null && marker >= xMin && marker <= xMax
+        ? `<line x1="${toX(marker)}" y1="${margin.top}" x2="${toX(marker)}" y2="${height - margin.bottom}" stroke="#f59e0b" stroke-dasharray="5 3" stroke-width="1.5"/>`
+        : '';
+    const legend = series.filter(({ label }) => label).map(({ label, color }) =>
+        `<span style="color: ${color};">━ ${label}</span>`).join(' ');
+    
+    return `
+        <div class="sweep-panel">
+            <div class="sweep-panel-title">${title} ${legend ? `<small style="font-weight: 400;">${legend}</small>` : ''}</div>
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${title.replace(/<[^>]+>/g, '')}">
+                <g class="sweep-grid">${xAxisTicks}${yAxisTicks}</g>
+                <rect x="${margin.left}" y="${margin.top}" width="${width - margin.left - margin.right}" height="${height - margin.top - margin.bottom}" fill="none" stroke="#cbd5e1"/>
+                ${markerLine}
+                ${paths}
+                <text class="sweep-axis-label" x="${(margin.left + width - margin.right) / 2}" y="${height - 4}" text-anchor="middle">${xLabel}</text>
+            </svg>
+        </div>
+    `;
+}
+
+// Render Stoner–Wohlfarth results: readout, M(H) loop, switching field versus angle and astroid (fields in mT)
+export function renderStonerWohlfarthResults(sw, { preferredDirection }) {
+    const toMilliTesla = (H) => H * PHYSICS_CONSTANTS.MU0 * 1e3;
+    const { H_K, fieldAngle, switchingField, coerciveField, remanence, loop, angular, astroid } = sw;
+    const psi = fieldAngle * Math.PI / 180;
+    const fieldRange = toMilliTesla(Math.max(...loop.descending.map(({ H }) => H)));
+    
+    const loopChart = renderLineChart({
+        title: `M·Ĥ/M<sub>s</sub> at ψ = ${fieldAngle}°`,
+        xLabel: 'μ₀H [mT]',
+        series: [
+            { points: loop.descending.map(({ H, m }) => [toMilliTesla(H), m]), color: '#6366f1', label: 'decreasing H' },
+            { points: loop.ascending.map(({ H, m }) => [toMilliTesla(H), m]), color: '#f59e0b', dashed: true, label: 'increasing H' }
+        ]
+    });
+    const angularChart = renderLineChart({
+        title: 'Switching field [mT]',
+        xLabel: 'Field angle ψ [°]',
+        marker: fieldAngle,
+        series: [
+            { points: angular.map(({ angle, switchingField }) => [angle, toMilliTesla(switchingField)]), color: '#6366f1', label: 'H<sub>sw</sub>' },
+            { points: angular.map(({ angle, coerciveField }) => [angle, toMilliTesla(coerciveField)]), color: '#27ae60', dashed: true, label: 'H<sub>c</sub>' }
+        ]
+    });
+    const astroidChart = renderLineChart({
+        title: 'Astroid: μ₀H<sub>⊥</sub> [mT]',
+        xLabel: 'μ₀H∥ along the easy axis [mT]',
+        square: true,
+        series: [
+            { points: astroid.map(({ H_parallel, H_perpendicular }) => [toMilliTesla(H_parallel), toMilliTesla(H_perpendicular)]), color: '#6366f1' },
+            // Field direction, from the origin out to the loop's field range
+            { points: [[0, 0], [fieldRange * Math.cos(psi), fieldRange * Math.sin(psi)]], color: '#f59e0b', dashed: true, label: `ψ = ${fieldAngle}°` }
+        ]
+    });
+    
+    return `
+        <div class="sweep-results">
+            <div class="sweep-transitions">
+                Easy axis: <strong>${preferredDirection}</strong>;
+                μ₀H<sub>K</sub> = ${toMilliTesla(H_K).toFixed(1)} mT;
+                at ψ = ${fieldAngle}°: switching field μ₀H<sub>sw</sub> = <strong>${toMilliTesla(switchingField).toFixed(1)} mT</strong>
+                (${(switchingField / 1e3).toFixed(1)} kA/m),
+                coercive field μ₀H<sub>c</sub> = ${toMilliTesla(coerciveField).toFixed(1)} mT,
+                remanence M<sub>r</sub>/M<sub>s</sub> = ${remanence.toFixed(3)}
+            </div>
+            <div class="sweep-charts">
+                ${loopChart}
+                ${angularChart}
+                ${astroidChart}
+            </div>
+            <small style="color: #64748b;">
+                Coherent rotation with K<sub>eff</sub> taken as uniaxial about the preferred direction; ψ is measured from that axis.
+                At ψ = 0 the switching field equals the H<sub>c</sub> shown above. Real particles usually switch at lower fields (non-uniform reversal, thermal activation).
+            </small>
+        </div>
+    `;
+}
+
+// Render K_eff·t against thickness: the structure, the infinite-film line and the spin-reorientation thickness
+export function renderInterfaceAnisotropyResults(dependence) {
+    const { current, points, reorientations, filmLimit, preferredDirection } = dependence;
+    const toMilliJoule = (value) => value * 1e3;
+    const first = points[0].t, last = points[points.length - 1].t;
+    const film = (t) => toMilliJoule(filmLimit.Ks + filmLimit.slope * t * 1e-9);
+    
+    const chart = renderLineChart({
+        title: 'K<sub>eff</sub>·t [mJ/m²]',
+        xLabel: 'Thickness t [nm]',
+        marker: reorientations.length > 0 ? reorientations[0].t : null,
+        series: [
+            { points: points.map(({ t, K_eff_t }) => [t, toMilliJoule(K_eff_t)]), color: '#6366f1', label: 'this structure' },
+            { points: [[first, film(first)], [last, film(last)]], color: '#94a3b8', dashed: true, label: 'infinite film' },
+            { points: [[first, 0], [last, 0]], color: '#cbd5e1' }
+        ]
+    });
+    const flips = reorientations.length > 0
+        ? reorientations.map(({ t, from, to }) => `${from} → ${to} at <strong>t = ${t.toFixed(2)} nm</strong>`).join('; ')
+        : 'no spin reorientation in this range';
+    
+    return `
+        <div class="sweep-results">
+            <div class="sweep-transitions">
+                At t = ${current.t} nm: K<sub>eff</sub>·t = ${toMilliJoule(current.K_eff_t).toFixed(3)} mJ/m², preferred magnetization
+                ${preferredDirection}. ${flips}.
+                Infinite film: K<sub>s</sub> = ${toMilliJoule(filmLimit.Ks).toFixed(3)} mJ/m², slope K<sub>v</sub> − ½μ₀M<sub>s</sub>² =
+                ${(filmLimit.slope / 1e6).toFixed(3)} MJ/m³,
+                t<sub>c</sub> = ${filmLimit.t_c === null ? 'none (the line does not cross zero)' : `${filmLimit.t_c.toFixed(2)} nm`}
+            </div>
+            <div class="sweep-charts">
+                ${chart}
+            </div>
+            <small style="color: #64748b;">
+                K<sub>eff</sub>·t is linear in t for an infinite film: the intercept is K<sub>s</sub> and the slope K<sub>v</sub> − ½μ₀M<sub>s</sub>².
+                The structure uses its own N<sub>z</sub> − N<sub>x</sub>, which is below 1 for a finite lateral size, so its reorientation thickness (dashed orange line) lies above t<sub>c</sub>.
+            </small>
+        </div>
+    `;
+}
+
+// Render dipolar coupling: interaction and effective tensors, and the anisotropy of the isolated and coupled element
+export function renderDipolarCouplingResults(coupling) {
+    const { mode, spacing, direction, neighbours, fillFactor, interaction, effective, N_effective, strayField, isolated, coupled } = coupling;
+    const labels = ['x', 'y', 'z'];
+    // Round-off below the shown digits would print as -0.0000
+    const cell = (value, digits) => `<td>${(Math.abs(value) < 0.5 * 10 ** -digits ? 0 : value).toFixed(digits)}</td>`;
+    const tensorTable = (title, matrix, digits) => `
+        <table class="tensor-table">
+            <thead><tr><th>${title}</th>${labels.map(axis => `<th>${axis}</th>`).join('')}</tr></thead>
+            <tbody>${matrix.map((row, i) => `<tr><th>${labels[i]}</th>${row.map(value => cell(value, digits)).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+    
+    const arrangement = mode === 'pair'
+        ? `Pair displaced ${spacing} nm along ${direction}`
+        : `${mode === 'square' ? 'Square' : 'Hexagonal'} array, pitch ${spacing} nm (areal fill ${(fillFactor * 100).toFixed(1)}%, ${neighbours} neighbours summed plus a continuum tail)`;
+    const strayMilliTesla = strayField.H * PHYSICS_CONSTANTS.MU0 * 1e3;
+    const formatDelta = (delta) => delta === null ? 'N/A' : delta.toFixed(1);
+    const rows = [
+        ['N<sub>x</sub>', isolated.N[0].toFixed(4), N_effective[0].toFixed(4)],
+        ['N<sub>y</sub>', isolated.N[1].toFixed(4), N_effective[1].toFixed(4)],
+        ['N<sub>z</sub>', isolated.N[2].toFixed(4), N_effective[2].toFixed(4)],
+        ['K<sub>eff</sub> [MJ/m³]', (isolated.K_eff / 1e6).toFixed(3), (coupled.K_eff / 1e6).toFixed(3)],
+        ['H<sub>c</sub> [kA/m]', (isolated.H_c / 1e3).toFixed(1), (coupled.H_c / 1e3).toFixed(1)],
+        ['Δ', formatDelta(isolated.delta), formatDelta(coupled.delta)],
+        ['Preferred magnetization', isolated.preferred_direction, coupled.preferred_direction]
+    ];
+    
+    return `
+        <div class="sweep-results">
+            <div class="sweep-transitions">
+                ${arrangement}.
+                Field from the neighbours on an element saturated along ${strayField.axis}:
+                μ₀H = <strong>${strayMilliTesla.toFixed(1)} mT</strong> (${(strayField.H / 1e3).toFixed(1)} kA/m,
+                ${strayField.H <= 0 ? 'opposing' : 'along'} M)
+            </div>
+            <div style="display: flex; flex-wrap: wrap; gap: 16px; font-size: 12px;">
+                ${tensorTable(mode === 'pair' ? 'N<sub>mutual</sub>' : 'ΣN<sub>mutual</sub>', interaction, 5)}
+                ${tensorTable('N<sub>eff</sub>', effective, 4)}
+                <table class="tensor-table">
+                    <thead><tr><th></th><th>Isolated</th><th>${mode === 'pair' ? 'In pair' : 'In array'}</th></tr></thead>
+                    <tbody>${rows.map(([label, alone, inside]) => `<tr><th>${label}</th><td>${alone}</td><td>${inside}</td></tr>`).join('')}</tbody>
+                </table>
+            </div>
+            <small style="color: #64748b;">
+                All elements are taken as uniformly magnetized in the same direction, so N<sub>eff</sub> = N<sub>self</sub> + ΣN<sub>mutual</sub>
+                (Newell f/g functions; point dipoles beyond 20 element sizes) and its trace is no longer 1.
+                Antiparallel neighbours reverse the sign of the interaction.
+            </small>
+        </div>
+    `;
+}
+
+// Render a multilayer stack: per-layer table, interlayer coupling along the bias axis, and the free layers alone and in the stack
+export function renderStackResults(stack) {
+    const { axis, layers, mutual, free, bias, fixed } = stack;
+    const k = ['x', 'y', 'z'].indexOf(axis);
+    const toMilliTesla = (H) => H * PHYSICS_CONSTANTS.MU0 * 1e3;
+    const roleLabel = { free: 'Free', up: 'Fixed ↑', down: 'Fixed ↓' };
+    const formatDelta = (delta) => delta === null ? 'N/A' : delta.toFixed(1);
+    const cell = (value, digits) => (Math.abs(value) < 0.5 * 10 ** -digits ? 0 : value).toFixed(digits);
+    
+    const layerRows = layers.map((layer, i) => `
+        <tr>
+            <th>${i + 1}</th>
+            <td>${roleLabel[layer.role]}</td>
+            <td>${layer.z.toFixed(2)}</td>
+            <td>${layer.thickness}</td>
+            <td>${layer.N[k].toFixed(4)}</td>
+            <td>${(layer.analysis.K_eff / 1e6).toFixed(3)}</td>
+            <td>${formatDelta(layer.analysis.delta)}</td>
+            <td>${layer.magnetostatic_exchange_length_nm.toFixed(1)}</td>
+            <td>${cell(toMilliTesla(layer.strayField), 1)}</td>
+        </tr>`).join('');
+    
+    const coupling = `
+        <table class="tensor-table">
+            <thead><tr><th>N<sub>ij,${axis}</sub></th>${layers.map((_, j) => `<th>${j + 1}</th>`).join('')}</tr></thead>
+            <tbody>${mutual.map((row, i) => `<tr><th>${i + 1}</th>${row.map(value => `<td>${value ? cell(value[k], 5) : '—'}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+    
+    // The bottom free layer on its own against the free layers rotating together in the stack
+    const alone = layers[free.layers[0]];
+    const rows = [
+        ...['x', 'y', 'z'].map((name, i) => [`N<sub>${name}</sub>`, alone.N[i].toFixed(4), free.N[i].toFixed(4)]),
+        ['K<sub>eff</sub> [MJ/m³]', (alone.analysis.K_eff / 1e6).toFixed(3), (free.analysis.K_eff / 1e6).toFixed(3)],
+        ['H<sub>c</sub> [kA/m]', (alone.analysis.H_c / 1e3).toFixed(1), (free.analysis.H_c / 1e3).toFixed(1)],
+        ['Δ', formatDelta(alone.analysis.delta), formatDelta(free.analysis.delta)],
+        ['Preferred magnetization', alone.analysis.preferred_direction, free.analysis.preferred_direction]
+    ];
+    const freeNames = free.layers.map(i => i + 1).join(', ');
+    
+    return `
+        <div class="sweep-results">
+            <div class="sweep-transitions">
+                Free layer${free.layers.length > 1 ? `s ${freeNames} (rotating together)` : ` ${freeNames}`}:
+                K<sub>eff</sub> = <strong>${(free.analysis.K_eff / 1e6).toFixed(3)} MJ/m³</strong>,
+                Δ = ${formatDelta(free.analysis.delta)}, preferred magnetization ${free.analysis.preferred_direction}.
+                ${fixed
+                    ? `Offset field from the fixed layers along +${axis}: μ₀H = <strong>${cell(toMilliTesla(bias.H), 1)} mT</strong>
+                       (${cell(bias.H / 1e3, 1)} kA/m), so the free-layer loop is centred at ${cell(toMilliTesla(bias.loopShift), 1)} mT.
+                       Fixed-layer compensation ${(fixed.compensation * 100).toFixed(1)}%.`
+                    : 'No fixed layers.'}
+            </div>
+            <div style="display: flex; flex-wrap: wrap; gap: 16px; font-size: 12px;">
+                <table class="tensor-table">
+                    <thead><tr><th>#</th><th>Role</th><th>z [nm]</th><th>t [nm]</th><th>N<sub>${axis}</sub> self</th>
+                        <th>K<sub>eff</sub> alone [MJ/m³]</th><th>Δ alone</th><th>l<sub>ex</sub> [nm]</th><th>μ<sub>0</sub>H<sub>stray</sub> [mT]</th></tr></thead>
+                    <tbody>${layerRows}</tbody>
+                </table>
+                ${coupling}
+                <table class="tensor-table">
+                    <thead><tr><th></th><th>Layer ${free.layers[0] + 1} alone</th><th>Free layers in stack</th></tr></thead>
+                    <tbody>${rows.map(([label, single, inStack]) => `<tr><th>${label}</th><td>${single}</td><td>${inStack}</td></tr>`).join('')}</tbody>
+                </table>
+            </div>
+            <small style="color: #64748b;">
+                Uniformly magnetized layers coupled only magnetostatically (no interlayer exchange or RKKY coupling).
+                Free layers are taken along +${axis}; the stray field on each layer is the average field of all other layers along ${axis}.
+                Mutual factors N<sub>ij</sub> follow exactly from the self factors of the shared cross-section. Material values are used as entered (no temperature scaling).
+            </small>
+        </div>
+    `;
+}
+
+// Render pinned scenarios side by side; cells that differ from the first scenario are highlighted
+export function renderScenarioComparison(scenarios) {
+    if (scenarios.length === 0) {
+        return `<small style="color: #64748b;">Pin the current result to compare geometries or materials side by side. The first pinned scenario is the baseline.</small>`;
+    }
+    
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const header = scenarios.map(({ id, label }, i) => `
+        <th>
+            ${escape(label)}${i === 0 ? ' <span class="scenario-baseline">baseline</span>' : ''}
+            <button type="button" class="scenario-remove" onclick="removeScenario(${id})" title="Remove">×</button>
+        </th>`).join('');
+    
+    const rows = compareScenarios(scenarios).map(({ label, unit, differs, cells }) => `
+        <tr class="${differs ? 'scenario-differs' : ''}">
+            <th scope="row">${label}${unit ? ` <span class="scenario-unit">[${unit}]</span>` : ''}</th>
+            ${cells.map(({ text, changed, change }) => `
+                <td class="${changed ? 'scenario-changed' : ''}">
+                    ${text}${changed && change !== null && isFinite(change)
+                        ? ` <span class="scenario-change">${change >= 0 ? '+' : ''}${change.toFixed(1)}%</span>`
+                        : ''}
+                </td>`).join('')}
+        </tr>`).join('');
+    
+    return `
+        <div class="scenario-table-wrapper">
+            <table class="scenario-table">
+                <thead><tr><th></th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <small style="color: #64748b;">Highlighted rows differ between scenarios; percentages are relative to the baseline.</small>
+    `;
+}
+
 // Update result element with MathJax rendering
 export function updateResultElement(elementId, html, addGlow = true) {
     const resultElement = document.getElementById(elementId);
@@ -213,6 +884,22 @@ export default {
     renderAxisLabels,
     renderPropertyCard,
     renderCoerciveFieldToggle,
+    renderConventionNote,
+    renderInPlaneAnisotropyNote,
+    renderIdealLimitNote,
+    renderConvergenceNote,
+    renderCriticalDimensionsNote,
+    renderThermalTarget,
+    renderThermalDesignNote,
+    renderTensorNote,
+    renderVoxelNote,
+    renderTemperatureScalingNote,
+    renderCrystalAnisotropyNote,
     renderResults,
+    renderSweepResults,
+    renderStonerWohlfarthResults,
+    renderDipolarCouplingResults,
+    renderStackResults,
+    renderScenarioComparison,
     updateResultElement
 };
\ No newline at end of file
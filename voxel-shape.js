@@ -0,0 +1,232 @@
+// Custom shapes on a voxel grid: text masks and rasterized lithographic outlines (no DOM access)
+// Grid axes follow the other geometries: x along the width, y along the length, z through the thickness
+
+export const VOXEL_SHAPES = ['triangle', 'stadium', 'rounded-rectangle', 'ellipse', 'mask'];
+
+// Largest number of filled voxels; the tensor sums over all voxel pairs
+export const MAX_VOXELS = 8192;
+
+// Largest mask grid, per axis and in total: the tensor keeps one counter per cell offset, and the mask text
+// ends up in the input field and the page URL
+export const MAX_MASK_SIZE = 256;
+export const MAX_MASK_CELLS = 65536;
+
+// Mask characters; spaces and tabs inside rows are ignored
+const FILLED = '#1';
+const EMPTY = '.0';
+
+/**
+ * Parse a text mask: one character per voxel ('#' or '1' filled, '.' or '0' empty)
+ * Rows are separated by line breaks or '/', drawn with the largest y on top; layers are separated
+ * by a blank line or '|' and listed from the bottom (z = 0) up
+ * @param {string} text - Mask text
+ * @returns {{grid: Array<number>, cells: Uint8Array}} Grid size [nx, ny, nz] and occupancy indexed x + nx·(y + ny·z)
+ */
+export function parseVoxelMask(text) {
+    if (typeof text !== 'string' || !/[#1]/.test(text)) {
+        throw new Error("Voxel mask needs at least one filled cell ('#' or '1')");
+    }
+
+    const layers = text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n[ \t]*\n|\|/)
+        .map(layer => layer.split(/[\n/]/).map(row => row.replace(/[ \t]/g, '')).filter(row => row !== ''))
+        .filter(layer => layer.length > 0);
+
+    const ny = layers[0].length;
+    const nx = layers[0][0].length;
+    if (layers.some(layer => layer.length !== ny || layer.some(row => row.length !== nx))) {
+        throw new Error("Every mask row must have the same length and every layer the same number of rows");
+    }
+    requireMaskSize(nx, ny, layers.length);
+
+    const invalid = layers.flat().join('').replace(new RegExp(`[${FILLED}${EMPTY}]`, 'g'), '');
+    if (invalid) {
+        throw new Error(`Unexpected character '${invalid[0]}' in voxel mask (use '#' or '1' for filled, '.' or '0' for empty)`);
+    }
+
+    const nz = layers.length;
+    const cells = new Uint8Array(nx * ny * nz);
+    layers.forEach((rows, z) => rows.forEach((row, r) => {
+        // The first row drawn is the top (largest y)
+        const y = ny - 1 - r;
+        for (let x = 0; x < nx; x++) {
+            cells[x + nx * (y + ny * z)] = FILLED.includes(row[x]) ? 1 : 0;
+        }
+    }));
+
+    return { grid: [nx, ny, nz], cells };
+}
+
+// Reject mask grids above MAX_MASK_SIZE per axis or MAX_MASK_CELLS in total, empty cells included
+function requireMaskSize(nx, ny, nz) {
+    if (Math.max(nx, ny, nz) > MAX_MASK_SIZE || nx * ny * nz > MAX_MASK_CELLS) {
+        throw new Error(`Voxel mask grid ${nx} × ${ny} × ${nz} is too large; at most ${MAX_MASK_SIZE} cells per axis ` +
+            `and ${MAX_MASK_CELLS} in total are supported (scale the mask or image down)`);
+    }
+}
+
+/**
+ * Write a voxel grid in the text mask format read by parseVoxelMask
+ * @param {{grid: Array<number>, cells: Uint8Array}} voxels
+ * @returns {string} Layers separated by blank lines
+ */
+export function formatVoxelMask({ grid: [nx, ny, nz], cells }) {
+    const layers = [];
+    for (let z = 0; z < nz; z++) {
+        const rows = [];
+        for (let y = ny - 1; y >= 0; y--) {
+            let row = '';
+            for (let x = 0; x < nx; x++) {
+                row += cells[x + nx * (y + ny * z)] ? '#' : '.';
+            }
+            rows.push(row);
+        }
+        layers.push(rows.join('\n'));
+    }
+    return layers.join('\n\n') + '\n';
+}
+
+// Inside test for an outline centred on the origin; x, y in nm
+function outline(shape, width, length, cornerRadius) {
+    switch (shape) {
+        case 'triangle':
+            // Isosceles, base along x at the bottom, apex at the top
+            return (x, y) => Math.abs(x) <= width / 2 * (0.5 - y / length);
+        case 'ellipse':
+            return (x, y) => (2 * x / width) ** 2 + (2 * y / length) ** 2 <= 1;
+        case 'stadium':
+        case 'rounded-rectangle': {
+            // A stadium is a rectangle with corner radius half its shorter side
+            const r = shape === 'stadium' ? Math.min(width, length) / 2 : cornerRadius;
+            return (x, y) => {
+                const u = Math.max(0, Math.abs(x) - (width / 2 - r));
+                const v = Math.max(0, Math.abs(y) - (length / 2 - r));
+                return u * u + v * v <= r * r;
+            };
+        }
+    }
+    throw new Error(`Unknown voxel shape '${shape}' (expected one of: ${VOXEL_SHAPES.join(', ')})`);
+}
+
+// Positive integer within a range
+function requireCount(value, min, max, message) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`${message} must be a whole number between ${min} and ${max}`);
+    }
+}
+
+/**
+ * Voxel grid for the custom-shape geometry
+ * Outlines are sampled at cell centres with about `resolution` cells along the longer side; a mask is
+ * stretched over the width × length × thickness box
+ * @param {Object} dims
+ * @param {string} dims.shape - One of VOXEL_SHAPES
+ * @param {number} dims.width - Extent along x [nm]
+ * @param {number} dims.length - Extent along y [nm]
+ * @param {number} dims.thickness - Extent along z [nm]
+ * @param {number} dims.cornerRadius - Corner radius of a rounded rectangle [nm]
+ * @param {number} dims.resolution - Cells along the longer lateral side (outlines)
+ * @param {number} dims.layers - Cells through the thickness (outlines)
+ * @param {string} dims.mask - Text mask (shape 'mask')
+ * @returns {{grid: Array<number>, cells: Uint8Array, cellSize: Array<number>, filled: number}} Cell size in nm
+ */
+export function voxelizeShape({ shape = 'mask', width, length, thickness, cornerRadius = 0, resolution = 32, layers = 1, mask }) {
+    if (!VOXEL_SHAPES.includes(shape)) {
+        throw new Error(`Unknown voxel shape '${shape}' (expected one of: ${VOXEL_SHAPES.join(', ')})`);
+    }
+    if ([width, length, thickness].some(value => typeof value !== 'number' || !(value > 0) || !isFinite(value))) {
+        throw new Error("Width, length and thickness must be positive values");
+    }
+
+    let voxels;
+    if (shape === 'mask') {
+        voxels = parseVoxelMask(mask);
+    } else {
+        requireCount(resolution, 2, 256, 'Resolution');
+        requireCount(layers, 1, 64, 'Layers');
+        if (shape === 'rounded-rectangle' && !(cornerRadius >= 0 && cornerRadius <= Math.min(width, length) / 2)) {
+            throw new Error("Corner radius must lie between 0 and half the shorter side");
+        }
+
+        const h = Math.max(width, length) / resolution;
+        const [nx, ny] = [Math.max(1, Math.round(width / h)), Math.max(1, Math.round(length / h))];
+        const inside = outline(shape, width, length, cornerRadius);
+        const cells = new Uint8Array(nx * ny * layers);
+
+        for (let y = 0; y < ny; y++) {
+            for (let x = 0; x < nx; x++) {
+                if (!inside((x + 0.5) * width / nx - width / 2, (y + 0.5) * length / ny - length / 2)) continue;
+                for (let z = 0; z < layers; z++) {
+                    cells[x + nx * (y + ny * z)] = 1;
+                }
+            }
+        }
+        voxels = { grid: [nx, ny, layers], cells };
+    }
+
+    const [nx, ny, nz] = voxels.grid;
+    const filled = voxels.cells.reduce((sum, cell) => sum + cell, 0);
+    if (filled === 0) {
+        throw new Error("Shape contains no voxels; increase the resolution");
+    }
+    if (filled > MAX_VOXELS) {
+        throw new Error(`Shape has ${filled} voxels; at most ${MAX_VOXELS} are supported (lower the resolution or layers)`);
+    }
+
+    return { ...voxels, cellSize: [width / nx, length / ny, thickness / nz], filled };
+}
+
+/**
+ * Text mask from image layers (e.g. decoded PNGs): dark, opaque pixels are magnet
+ * @param {Array<{width: number, height: number, data: Uint8ClampedArray}>} images - RGBA pixels, bottom layer first
+ * @returns {string} Mask text (see parseVoxelMask)
+ */
+export function maskFromImages(images) {
+    if (images.length === 0) {
+        throw new Error("No image layers to convert");
+    }
+    const [{ width, height }] = images;
+    if (images.some(image => image.width !== width || image.height !== height)) {
+        throw new Error("All image layers must have the same size");
+    }
+    requireMaskSize(width, height, images.length);
+
+    const cells = new Uint8Array(width * height * images.length);
+    images.forEach(({ data }, z) => {
+        for (let row = 0; row < height; row++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = 4 * (row * width + x);
+                const luminance = 0.299 * data[pixel] + 0.587 * data[pixel + 1] + 0.114 * data[pixel + 2];
+                // Image rows run top to bottom, grid y bottom to top
+                cells[x + width * (height - 1 - row + height * z)] = data[pixel + 3] >= 128 && luminance < 128 ? 1 : 0;
+            }
+        }
+    });
+    return formatVoxelMask({ grid: [width, height, images.length], cells });
+}
+
+/**
+ * Dimension names that apply to a voxel shape (the rest are ignored)
+ * @param {string} shape - One of VOXEL_SHAPES
+ * @returns {Array<string>}
+ */
+export function voxelDimensionNames(shape) {
+    return [
+        'shape', 'width', 'length', 'thickness',
+        ...(shape === 'rounded-rectangle' ? ['cornerRadius'] : []),
+        ...(shape === 'mask' ? ['mask'] : ['resolution', 'layers'])
+    ];
+}
+
+export default {
+    VOXEL_SHAPES,
+    MAX_VOXELS,
+    MAX_MASK_SIZE,
+    MAX_MASK_CELLS,
+    parseVoxelMask,
+    formatVoxelMask,
+    maskFromImages,
+    voxelizeShape,
+    voxelDimensionNames
+};